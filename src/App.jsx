@@ -1,13 +1,22 @@
 import {Navbar,Welcome,Dock} from "#components";
-import { TerminalWithWrapper,ResumeWithWrapper,FinderWithWrapper, TextWithWrapper, ImageWithWrapper ,ContactWithWrapper} from "#windows";
+import { TerminalWithWrapper,ResumeWithWrapper,FinderWithWrapper, TextWithWrapper, ImageWithWrapper ,ContactWithWrapper, PhotosWithWrapper, SettingsWithWrapper} from "#windows";
 import { Draggable } from "gsap/Draggable";
 import gsap from "gsap";
 import { SafariWithWrapper } from "#windows";
-import { Home } from "#components";
+import { Home, Shortcuts, Spotlight, EmptyTrashDialog, ContextMenu, InfoPanel, SaveAsDialog } from "#components";
+import { useRouter } from "#lib/router.js";
+import { useShortcuts } from "#lib/shortcuts.js";
+import { useAppearance, useTheme } from "#lib/theme.js";
+import { useSoundEffects } from "#lib/sound.js";
 
 
 gsap.registerPlugin(Draggable);
 const App = () => {
+    useRouter();
+    useShortcuts();
+    useTheme();
+    useAppearance();
+    useSoundEffects();
     return (
         <main>
             <Navbar />   
@@ -20,7 +29,15 @@ const App = () => {
             <TextWithWrapper />
             <ImageWithWrapper />
             <ContactWithWrapper />
+            <PhotosWithWrapper />
+            <SettingsWithWrapper />
             <Home/>
+            <Shortcuts/>
+            <Spotlight/>
+            <EmptyTrashDialog/>
+            <InfoPanel/>
+            <SaveAsDialog/>
+            <ContextMenu/>
         </main> 
     );
 }
@@ -0,0 +1,43 @@
+import { useState } from "react";
+import clsx from "clsx";
+import dayjs from "dayjs";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+const WEEKDAYS = ["S","M","T","W","T","F","S"];
+
+// month view dropped down from the menu bar clock
+const Calendar = () => {
+    const [month,setMonth] = useState(()=>dayjs().startOf("month"));
+    const today = dayjs();
+    const days = Array.from({length:month.daysInMonth()},(_,i)=>month.date(i + 1));
+
+    return (
+        <div className="calendar" role="dialog" aria-label="Calendar">
+            <header>
+                <p>{month.format("MMMM YYYY")}</p>
+                <div>
+                    <button type="button" aria-label="Previous month" onClick={()=>setMonth(month.subtract(1,"month"))}>
+                        <ChevronLeft size={16}/>
+                    </button>
+                    <button type="button" onClick={()=>setMonth(today.startOf("month"))}>Today</button>
+                    <button type="button" aria-label="Next month" onClick={()=>setMonth(month.add(1,"month"))}>
+                        <ChevronRight size={16}/>
+                    </button>
+                </div>
+            </header>
+            <ol className="weekdays">
+                {WEEKDAYS.map((day,i)=><li key={i}>{day}</li>)}
+            </ol>
+            <ol className="days">
+                {/* blanks up to the weekday the month starts on */}
+                {Array.from({length:month.day()},(_,i)=><li key={`blank-${i}`}/>)}
+                {days.map((day)=>(
+                    <li key={day.date()} className={clsx(day.isSame(today,"day") && "today")}>
+                        <time dateTime={day.format("YYYY-MM-DD")}>{day.date()}</time>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    )
+}
+export default Calendar;
@@ -0,0 +1,41 @@
+import { useLayoutEffect, useRef } from "react";
+import useOverlayStore from "#store/overlay.js";
+import { CONTEXT_MENU, getContextMenu } from "#lib/contextMenu.js";
+import MenuList from "#components/MenuList.jsx";
+
+// the open context menu, kept on screen by opening up or left of the
+// point when there's no room below or right of it
+const ContextMenu = () => {
+    const {activeOverlay,overlayData,closeOverlay} = useOverlayStore();
+    const menuRef = useRef(null);
+    const isOpen = activeOverlay === CONTEXT_MENU;
+
+    useLayoutEffect(()=>{
+        const menu = menuRef.current;
+        if(!isOpen || !menu) return;
+        const {x,y} = overlayData;
+        const {width,height} = menu.getBoundingClientRect();
+        menu.style.left = `${x + width > window.innerWidth ? Math.max(0,x - width) : x}px`;
+        menu.style.top = `${y + height > window.innerHeight ? Math.max(0,y - height) : y}px`;
+    },[isOpen,overlayData])
+
+    if(!isOpen) return null;
+    const items = getContextMenu(overlayData);
+    if(!items.length) return null;
+
+    const runItem = (item)=>{
+        closeOverlay();
+        item.run();
+    }
+
+    return (
+        <>
+            <div className="menu-backdrop" id="context-menu-backdrop" onClick={closeOverlay}
+            onContextMenu={(e)=>{e.preventDefault(); closeOverlay();}}/>
+            <div id="context-menu" ref={menuRef} style={{left:overlayData.x,top:overlayData.y}}>
+                <MenuList items={items} onRun={runItem}/>
+            </div>
+        </>
+    )
+}
+export default ContextMenu;
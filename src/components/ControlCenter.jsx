@@ -0,0 +1,93 @@
+import clsx from "clsx";
+import { Monitor, Moon, Sparkles, Sun, Volume1, Volume2, VolumeX, ZoomIn } from "lucide-react";
+import { profile, socials } from "#constants";
+import useThemeStore from "#store/theme.js";
+import useSettingsStore from "#store/settings.js";
+import useWindowstore from "#store/window.js";
+import useOverlayStore from "#store/overlay.js";
+import { playSound } from "#lib/sound.js";
+
+const THEME_OPTIONS = [
+    {mode:"light",label:"Light",icon:<Sun size={14}/>},
+    {mode:"dark",label:"Dark",icon:<Moon size={14}/>},
+    {mode:"auto",label:"Auto",icon:<Monitor size={14}/>},
+];
+
+const TOGGLES = [
+    {key:"reducedMotion",label:"Reduce Motion",icon:<Sparkles size={16}/>},
+    {key:"dockMagnification",label:"Dock Magnification",icon:<ZoomIn size={16}/>},
+    {key:"soundEffects",label:"Sound Effects",icon:<Volume2 size={16}/>},
+];
+
+const VolumeIcon = ({volume}) => volume === 0 ? <VolumeX size={16}/> : volume < 0.5 ? <Volume1 size={16}/> : <Volume2 size={16}/>;
+
+// quick settings dropped down from the wifi and user icons in the menu bar
+const ControlCenter = () => {
+    const {mode,setMode} = useThemeStore();
+    const settings = useSettingsStore();
+    const openSettings = ()=>{
+        useOverlayStore.getState().closeOverlay();
+        useWindowstore.getState().openWindow("settings");
+    }
+
+    return (
+        <div className="control-center" role="dialog" aria-label="Control Center">
+            <div className="profile">
+                <img src={profile.photo} alt={profile.name}/>
+                <div>
+                    <p>{profile.name}</p>
+                    <a href={`mailto:${profile.email}`}>{profile.email}</a>
+                </div>
+                <ul>
+                    {socials.map(({id,link,icon,text})=>(
+                        <li key={id}>
+                            <a href={link} target="_blank" rel="noopener noreferrer" title={text}>
+                                <img src={icon} alt={text}/>
+                            </a>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            <div className="tile">
+                <p>Appearance</p>
+                <div className="segmented" role="radiogroup" aria-label="Appearance">
+                    {THEME_OPTIONS.map(({mode:option,label,icon})=>(
+                        <button key={option} type="button" role="radio" aria-checked={mode === option}
+                        className={clsx(mode === option && "active")} onClick={()=>setMode(option)}>
+                            {icon}
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <ul className="toggles">
+                {TOGGLES.map(({key,label,icon})=>(
+                    <li key={key}>
+                        <button type="button" role="switch" aria-checked={settings[key]}
+                        className={clsx(settings[key] && "active")}
+                        onClick={()=>settings.toggleSetting(key)}>
+                            <span className="toggle-icon">{icon}</span>
+                            {label}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="tile volume">
+                <p>Sound</p>
+                <div>
+                    <VolumeIcon volume={settings.volume}/>
+                    <input type="range" min={0} max={1} step={0.05} value={settings.volume}
+                    aria-label="Volume" disabled={!settings.soundEffects}
+                    onChange={(e)=>settings.setVolume(e.target.value)}
+                    onPointerUp={()=>playSound("toggle")}/>
+                </div>
+            </div>
+
+            <button type="button" className="open-settings" onClick={openSettings}>System Settings…</button>
+        </div>
+    )
+}
+export default ControlCenter;
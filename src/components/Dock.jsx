@@ -1,30 +1,62 @@
-import { dockApps } from "#constants";
 import { useGSAP } from "@gsap/react";
-import { useRef } from "react";
+import { useRef, useState } from "react";
+import clsx from "clsx";
 import {Tooltip} from 'react-tooltip';
 import useWindowstore from "#store/window.js";
+import useSettingsStore from "#store/settings.js";
+import useOverlayStore from "#store/overlay.js";
+import useTrashStore from "#store/trash.js";
+import { activateApp, getDockEntries, getDockMenu, TRASH_ID } from "#lib/dock.js";
+import { FILE_DRAG_TYPE, moveToTrash } from "#lib/trash.js";
+import { getOpenContext, openContextMenu, registerContextMenu } from "#lib/contextMenu.js";
 import gsap from "gsap";
 
 
+// tooltips open away from the screen edge the dock sits on
+const TOOLTIP_PLACES = {bottom:"top",left:"right",right:"left"};
+
+registerContextMenu("dock",({id})=>{
+    const entry = getDockEntries(useWindowstore.getState().windows).find((dockEntry)=>dockEntry.id === id);
+    return entry ? getDockMenu(entry) : [];
+});
+
+// menus open from the icon's edge that faces away from the screen edge
+const getMenuPoint = (icon,dockPosition)=>{
+    const {left,right,top,width} = icon.getBoundingClientRect();
+    return {bottom:{x:left + width/2,y:top},left:{x:right,y:top},right:{x:left,y:top}}[dockPosition];
+}
+
 const Dock = () => {
-    const {openWindow,closeWindow,windows} = useWindowstore();
+    const {windows} = useWindowstore();
+    const overlay = useOverlayStore();
+    const {dockSize,dockPosition,dockAutoHide} = useSettingsStore();
+    const [isRevealed,setIsRevealed] = useState(false);
+    const [isDropTarget,setIsDropTarget] = useState(false);
     const dockRef = useRef(null);
+    // re-render when the Trash fills or empties, for its icon
+    useTrashStore((state)=>state.trashed.length + state.deleted.length);
+    const entries = getDockEntries(windows);
+    const openMenu = getOpenContext(overlay,"dock")?.id ?? null;
     useGSAP(()=>{
         const dock = dockRef.current;
         if(!dock) return;
-        const icons = dock.querySelectorAll(".dock-icon");
-
-
-        const animateIcons = (mouseX)=>{
-            const {left} = dock.getBoundingClientRect();
-            icons.forEach((icon)=>{
-                const {left:iconLeft,width} = icon.getBoundingClientRect();
-                const center = iconLeft - left + width/2;
-                const distance = Math.abs(mouseX - center)
+        // looked up on every move, since running apps come and go
+        const getIcons = ()=>dock.querySelectorAll(".dock-icon");
+
+
+        // a side dock magnifies along its height and lifts icons sideways
+        const animateIcons = (pointer,{dockMagnificationScale,dockPosition})=>{
+            const vertical = dockPosition !== "bottom";
+            const lift = {bottom:{y:-15},left:{x:15},right:{x:-15}}[dockPosition];
+            getIcons().forEach((icon)=>{
+                const {left,top,width,height} = icon.getBoundingClientRect();
+                const center = vertical ? top + height/2 : left + width/2;
+                const distance = Math.abs(pointer - center)
                 const intensity = Math.exp(-(distance ** 2.5) / 20000) 
                 gsap.to(icon,{
-                    scale:1 + 0.25 * intensity,
-                    y: -15 * intensity,
+                    scale:1 + dockMagnificationScale * intensity,
+                    x: (lift.x ?? 0) * intensity,
+                    y: (lift.y ?? 0) * intensity,
                     duration: 0.2,
                     ease:"power1.out"
                 })
@@ -34,14 +66,16 @@ const Dock = () => {
 
 
         const handleMouseMove = (e)=>{
-            const {left} = dock.getBoundingClientRect();
-            animateIcons(e.clientX - left)
+            const settings = useSettingsStore.getState();
+            if(!settings.dockMagnification || settings.reducedMotion) return;
+            animateIcons(settings.dockPosition === "bottom" ? e.clientX : e.clientY,settings)
         }
 
         const resetIcons = () => {
-            icons.forEach((icon) => {
+            getIcons().forEach((icon) => {
                 gsap.to(icon, {
                     scale: 1,
+                    x: 0,
                     y: 0,
                     duration: 0.3,
                     ease: "power1.out"
@@ -61,47 +95,76 @@ const Dock = () => {
 
 
 
-    const toggleApp = (app)=>{
-        if(!app.canOpen) return;
-        
-        const window = windows[app.id];
+    // like macOS, clicking a running app brings it forward rather than quitting it
+    const handleClick = ({id,canOpen,isRunning})=>{
+        if(!canOpen && !isRunning) return;
+        activateApp(id);
+    }
 
-        if(window.isOpen){
-            closeWindow(app.id);
-        }else{
-            openWindow(app.id);
-        }
-        console.log(windows);
+    const handleContextMenu = (e,id)=>{
+        openContextMenu(e,"dock",{id},getMenuPoint(e.currentTarget,dockPosition));
     }
 
+    // Finder items can be dropped on the Trash; desktop icons are handled by Home
+    const trashDropProps = {
+        onDragOver:(e)=>{
+            if(!e.dataTransfer.types.includes(FILE_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+            setIsDropTarget(true);
+        },
+        onDragLeave:()=>setIsDropTarget(false),
+        onDrop:(e)=>{
+            e.preventDefault();
+            setIsDropTarget(false);
+            moveToTrash([e.dataTransfer.getData(FILE_DRAG_TYPE)]);
+        },
+    };
+
 
 
 
 
 
     return(
-        <section id="dock" >
+        <>
+        {/* the strip along the screen edge that brings an auto-hidden dock back */}
+        {dockAutoHide && <div className={clsx("dock-trigger",dockPosition)} onMouseEnter={()=>setIsRevealed(true)}/>}
+        <section id="dock" className={clsx(dockPosition,dockAutoHide && "auto-hide",
+        dockAutoHide && !isRevealed && !openMenu && "hidden-dock")}
+        style={{"--dock-size":`${dockSize}px`}}
+        onMouseLeave={()=>setIsRevealed(false)}>
             <div ref={dockRef} className="dock-container">
-                {dockApps.map(({id, name,icon,canOpen}) => (
-                    <div key={id} className="relative flex justify-center">
-                        <button type="button" className="dock-icon"
+                {entries.map((entry) => {
+                    const {id,name,icon,canOpen,isRunning,startsSection} = entry;
+                    return (
+                    <div key={id} className={clsx("relative flex justify-center",startsSection && "starts-section")}>
+                        <button type="button" className={clsx("dock-icon",id === TRASH_ID && isDropTarget && "drop-target")}
                         aria-label={name}
+                        aria-haspopup="menu"
+                        aria-expanded={openMenu === id}
+                        data-window={id}
                         data-tooltip-id="dock-tooltip"
                         data-tooltip-content={name}
                         data-tooltip-delay-show={150}
-                        disabled={!canOpen}
-                        onClick={() => toggleApp({id,canOpen})}>
-                        <img src={`/images/${icon}`} alt={`${name} icon`}
+                        aria-disabled={!canOpen && !isRunning}
+                        onClick={() => handleClick(entry)}
+                        onContextMenu={(e) => handleContextMenu(e,id)}
+                        {...(id === TRASH_ID ? trashDropProps : {})}>
+                        <img src={icon} alt={`${name} icon`}
                         loading="lazy"
-                        className={canOpen ? "": "opacity-50"}>
+                        className={canOpen || isRunning ? "": "opacity-50"}>
                         
                         </img>
                         </button>
+                        {isRunning && <span className="running-dot" aria-label="Running"/>}
                     </div>
-                ))}
-                <Tooltip id="dock-tooltip" place="top" effect="solid" className="tooltip"/>
+                    )
+                })}
+                {!openMenu && <Tooltip id="dock-tooltip" place={TOOLTIP_PLACES[dockPosition]} effect="solid" className="tooltip"/>}
             </div>
         </section>
+        </>
     )
 }
 export default Dock;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import useOverlayStore from "#store/overlay.js";
+import { list, TRASH_PATH } from "#lib/filesystem.js";
+import { emptyTrash } from "#lib/trash.js";
+
+// Finder's "are you sure" before emptying the Trash; Enter confirms, Esc cancels
+const EmptyTrashDialog = () => {
+    const {activeOverlay,closeOverlay} = useOverlayStore();
+    if(activeOverlay !== "empty-trash") return null;
+
+    const count = list(TRASH_PATH).length;
+    const confirm = ()=>{
+        closeOverlay();
+        emptyTrash();
+    }
+
+    return (
+        <div id="empty-trash" onClick={closeOverlay}>
+            <div className="sheet" role="alertdialog" aria-labelledby="empty-trash-title"
+            onClick={(e)=>e.stopPropagation()}>
+                <img src="/images/trash.png" alt="" />
+                <h2 id="empty-trash-title">
+                    Are you sure you want to permanently erase the {count === 1 ? "item" : `${count} items`} in the Trash?
+                </h2>
+                <p>You can't undo this action.</p>
+                <div className="actions">
+                    <button type="button" onClick={closeOverlay}>Cancel</button>
+                    <button type="button" className="primary" autoFocus onClick={confirm}>Empty Trash</button>
+                </div>
+            </div>
+        </div>
+    )
+}
+export default EmptyTrashDialog;
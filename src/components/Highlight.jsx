@@ -0,0 +1,16 @@
+// renders `text` with the characters at `indices` wrapped in <mark>
+const Highlight = ({text = "",indices = []}) => {
+    if(!indices.length) return text;
+    const marked = new Set(indices);
+    const parts = [];
+    text.split("").forEach((char,i)=>{
+        const isMarked = marked.has(i);
+        const last = parts[parts.length-1];
+        if(last && last.isMarked === isMarked) last.text += char;
+        else parts.push({isMarked,text:char});
+    });
+    return parts.map(({isMarked,text},i)=>
+        isMarked ? <mark key={i}>{text}</mark> : <span key={i}>{text}</span>
+    );
+}
+export default Highlight;
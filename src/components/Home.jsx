@@ -1,34 +1,180 @@
-import { locations } from "#constants";
-import useWindowstore from "#store/window.js";
+import { useEffect, useLayoutEffect, useState } from "react";
 import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
 import clsx from "clsx";
 import { Draggable } from "gsap/Draggable";
-import useLocationStore from "#store/location.js";
+import { openItem } from "#lib/open.js";
+import { moveToTrash } from "#lib/trash.js";
+import { CELL_WIDTH, cellToPoint, cleanUp, DESKTOP_PATH, dropIcons, getDesktopItems, getGrid, layoutIcons, placeIcon, SORT_KEYS, sortDesktop } from "#lib/desktop.js";
+import { createItem, openInTerminal, useFileChanges } from "#lib/files.js";
+import { openContextMenu, registerContextMenu } from "#lib/contextMenu.js";
+import { SEPARATOR } from "#lib/menus.js";
+import useSelectionStore from "#store/selection.js";
+import useDesktopStore from "#store/desktop.js";
+import useSettingsStore from "#store/settings.js";
+import useWindowstore from "#store/window.js";
+import RenameField from "#components/RenameField.jsx";
 
-const projects =locations.work?.children ?? [];
+const getTrashIcon = ()=>document.querySelector('#dock [data-window="trash"]');
+const getIcon = (path)=>document.querySelector(`#home li[data-path="${CSS.escape(path)}"]`);
+
+const getSelectedPaths = ()=>{
+    const {scope,paths} = useSelectionStore.getState();
+    return scope === "desktop" ? paths : [];
+}
+const isAdditive = (e)=>e.shiftKey || e.metaKey || e.ctrlKey;
+
+const intersects = (a,b)=>a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+
+// new items go where the menu was opened, like on macOS
+const createAt = (type,point)=>{
+    const node = createItem(DESKTOP_PATH,type,"desktop");
+    if(node) placeIcon(node.path,point);
+}
+
+registerContextMenu("desktop",(point)=>[
+    {label:"New Folder",run:()=>createAt("folder",point)},
+    {label:"New Text Note",run:()=>createAt("note",point)},
+    SEPARATOR,
+    {label:"Clean Up",run:cleanUp},
+    ...SORT_KEYS.map(({id,label})=>({id:`sort-${id}`,label:`Sort By ${label}`,run:()=>sortDesktop(id)})),
+    SEPARATOR,
+    {label:"Change Wallpaper…",run:()=>useWindowstore.getState().openWindow("settings",{pane:"appearance"})},
+    {label:"Open in Terminal",run:()=>openInTerminal(DESKTOP_PATH)},
+]);
 
 const Home = ()=>{
-    const {setActiveLocation} = useLocationStore();
-    const {openWindow} = useWindowstore();
-    const handleOpenWindow = (type)=>{
-        setActiveLocation(type);
-        openWindow("finder");
-    }
+    const {scope,paths,renamingPath,select,clearSelection} = useSelectionStore();
+    const positions = useDesktopStore((state)=>state.positions);
+    const {dockPosition,dockAutoHide,dockSize} = useSettingsStore();
+    // desktop items come and go with the Trash, and as visitors make them
+    useFileChanges();
+    const [grid,setGrid] = useState(null);
+    // the rubber band selection rectangle while dragging on the bare desktop
+    const [band,setBand] = useState(null);
+
+    const items = getDesktopItems();
+    const itemKey = items.map(({path})=>path).join("|");
+    const layout = grid ? layoutIcons(items,positions,grid) : new Map();
+
+    // the grid is measured from the menu bar and the dock once they're on screen
+    useLayoutEffect(()=>{
+        const measure = ()=>setGrid(getGrid());
+        measure();
+        window.addEventListener("resize",measure);
+        return ()=>window.removeEventListener("resize",measure);
+    },[dockPosition,dockAutoHide,dockSize])
+
     useGSAP(()=>{
-        Draggable.create(".folder")
-    },[])
+        // other selected icons follow the one being dragged
+        let followers = [];
+        // only icons that are new since the last run, e.g. put back from the Trash
+        const icons = gsap.utils.toArray("#home li").filter((icon)=>!Draggable.get(icon));
+        Draggable.create(icons,{
+            // presses in a name being edited stay there instead of selecting the icon
+            dragClickables:false,
+            clickableTest:(target)=>Boolean(target.closest(".rename-field")),
+            onPress(e){
+                const path = this.target.dataset.path;
+                const selected = getSelectedPaths();
+                if(isAdditive(e)) select("desktop",selected.includes(path) ? selected.filter((p)=>p !== path) : [...selected,path]);
+                else if(!selected.includes(path)) select("desktop",[path]);
+                followers = getSelectedPaths().filter((p)=>p !== path).map(getIcon).filter(Boolean);
+            },
+            onDrag(){
+                gsap.set(followers,{x:this.x,y:this.y});
+            },
+            onDragEnd(){
+                const dragged = [this.target,...followers];
+                const draggedPaths = dragged.map((icon)=>icon.dataset.path);
+                const offset = {x:this.x,y:this.y};
+                gsap.set(dragged,{x:0,y:0});
+                const trash = getTrashIcon();
+                if(trash && this.hitTest(trash,"30%")) moveToTrash(draggedPaths);
+                else dropIcons(draggedPaths,offset);
+            },
+            // only fires when the icon wasn't dragged
+            onClick(e){
+                if(!isAdditive(e)) select("desktop",[this.target.dataset.path]);
+            },
+        });
+    },{dependencies:[itemKey,grid]})
+
+    // dragging on the bare desktop selects the icons the rectangle touches
+    useEffect(()=>{
+        const main = document.querySelector("main");
+        const isDesktop = (e)=>e.target === main || e.target.closest("#welcome");
+        let start = null;
+        let base = [];
+        const handleContextMenu = (e)=>{
+            if(isDesktop(e)) openContextMenu(e,"desktop",{x:e.clientX,y:e.clientY});
+        }
+        const handlePointerDown = (e)=>{
+            if(e.button !== 0 || !isDesktop(e)) return;
+            start = {x:e.clientX,y:e.clientY};
+            base = isAdditive(e) ? getSelectedPaths() : [];
+            if(!base.length) clearSelection("desktop");
+        }
+        const handlePointerMove = (e)=>{
+            if(!start) return;
+            const rect = {
+                left:Math.min(start.x,e.clientX),
+                top:Math.min(start.y,e.clientY),
+                right:Math.max(start.x,e.clientX),
+                bottom:Math.max(start.y,e.clientY),
+            };
+            setBand(rect);
+            const hits = gsap.utils.toArray("#home li")
+                .filter((icon)=>intersects(icon.getBoundingClientRect(),rect))
+                .map((icon)=>icon.dataset.path);
+            const next = [...new Set([...base,...hits])];
+            if(next.join("|") !== getSelectedPaths().join("|")) select("desktop",next);
+        }
+        const handlePointerUp = ()=>{
+            start = null;
+            setBand(null);
+        }
+        main?.addEventListener("contextmenu",handleContextMenu);
+        main?.addEventListener("pointerdown",handlePointerDown);
+        window.addEventListener("pointermove",handlePointerMove);
+        window.addEventListener("pointerup",handlePointerUp);
+        return ()=>{
+            main?.removeEventListener("contextmenu",handleContextMenu);
+            main?.removeEventListener("pointerdown",handlePointerDown);
+            window.removeEventListener("pointermove",handlePointerMove);
+            window.removeEventListener("pointerup",handlePointerUp);
+        }
+    },[select,clearSelection])
+
     return(
         <section id="home">
             <ul>
-                {projects.map((project)=>(
-                    <li key={project.id} className={clsx("group folder",project.windowPosition)}
-                    onClick={()=>handleOpenWindow(project)}>
-                        <img src="/images/folder.png" alt={project.name} />
-                        <p>{project.name}</p>
-                    </li>
-                ))}
+                {grid && items.map((item)=>{
+                    const {x,y} = cellToPoint(layout.get(item.path),grid);
+                    return (
+                        <li key={item.id} data-path={item.path}
+                        className={clsx("group",scope === "desktop" && paths.includes(item.path) && "selected")}
+                        style={{left:x,top:y,width:CELL_WIDTH}}
+                        onDoubleClick={()=>openItem(item)}
+                        onContextMenu={(e)=>{
+                            if(!getSelectedPaths().includes(item.path)) select("desktop",[item.path]);
+                            openContextMenu(e,"item",{path:item.path,scope:"desktop"});
+                        }}>
+                            <img src={item.icon ?? "/images/folder.png"} alt={item.name} />
+                            {renamingPath === item.path ? <RenameField item={item}/> : <p>{item.name}</p>}
+                        </li>
+                    )
+                })}
             </ul>
+            {band && (
+                <div className="rubber-band" style={{
+                    left:band.left,
+                    top:band.top,
+                    width:band.right - band.left,
+                    height:band.bottom - band.top,
+                }}/>
+            )}
         </section>
     )
 }
-export default Home;
\ No newline at end of file
+export default Home;
@@ -0,0 +1,45 @@
+import dayjs from "dayjs";
+import { X } from "lucide-react";
+import useOverlayStore from "#store/overlay.js";
+import { formatSize, resolve, stat } from "#lib/filesystem.js";
+
+// Finder's Get Info, for the item the overlay was opened with
+const InfoPanel = () => {
+    const {activeOverlay,overlayData,closeOverlay} = useOverlayStore();
+    if(activeOverlay !== "info") return null;
+    const node = resolve(overlayData?.path);
+    if(!node) return null;
+
+    const info = stat(node);
+    const rows = [
+        ["Kind",info.type],
+        ["Size",formatSize(info)],
+        ["Where",info.parentPath ?? "--"],
+        node.originalPath && ["Original location",node.originalPath.slice(0,node.originalPath.lastIndexOf("/")) || "/"],
+        ["Modified",info.modified ? dayjs(info.modified).format("MMMM D, YYYY") : "--"],
+    ].filter(Boolean);
+
+    return (
+        <div id="info-panel" onClick={closeOverlay}>
+            <div className="sheet" role="dialog" aria-label={`${node.name} Info`}
+            onClick={(e)=>e.stopPropagation()}>
+                <header>
+                    <img src={node.icon ?? "/images/folder.png"} alt="" />
+                    <h2>{node.name}</h2>
+                    <button type="button" aria-label="Close" onClick={closeOverlay}>
+                        <X className="icon"/>
+                    </button>
+                </header>
+                <dl>
+                    {rows.map(([label,value])=>(
+                        <div key={label}>
+                            <dt>{label}</dt>
+                            <dd>{value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            </div>
+        </div>
+    )
+}
+export default InfoPanel;
@@ -0,0 +1,20 @@
+import clsx from "clsx";
+import { formatCombo } from "#lib/shortcuts.js";
+
+// items as built by #lib/menus.js: { id?, label, run, shortcut?, disabled?, checked? } or SEPARATOR
+const MenuList = ({items,onRun,className}) => (
+    <ul className={clsx("menu-list",className)} role="menu">
+        {items.map((item,i)=>item.separator ? (
+            <li key={`separator-${i}`} className="separator" role="separator"/>
+        ) : (
+            <li key={item.id ?? item.label} role="menuitem" aria-disabled={item.disabled || undefined}
+            className={clsx(item.disabled && "disabled")}
+            onClick={()=>!item.disabled && onRun(item)}>
+                <span className="check">{item.checked ? "✓" : ""}</span>
+                <span className="label">{item.label}</span>
+                {item.shortcut && <kbd>{formatCombo(item.shortcut)}</kbd>}
+            </li>
+        ))}
+    </ul>
+)
+export default MenuList;
@@ -1,37 +1,117 @@
+import { useEffect, useState } from "react";
 import dayjs from "dayjs";
+import clsx from "clsx";
+import useWindowstore, { selectFocusedWindow } from "#store/window.js";
+import useOverlayStore from "#store/overlay.js";
+import useThemeStore from "#store/theme.js";
+import {navIcons} from "#constants";
+import { formatCombo } from "#lib/shortcuts.js";
+import MenuList from "#components/MenuList.jsx";
+import { getMenuBar, getSystemMenu } from "#lib/menus.js";
+import Calendar from "#components/Calendar.jsx";
+import ControlCenter from "#components/ControlCenter.jsx";
+import { Keyboard } from "lucide-react";
 
+const MENU_PREFIX = "menu:";
+// dropdowns that close when clicking anywhere else
+const DROPDOWNS = ["calendar","control-center"];
 
+// the current time, re-rendered on every minute boundary
+const useNow = ()=>{
+    const [now,setNow] = useState(()=>dayjs());
+    useEffect(()=>{
+        let timer;
+        const tick = ()=>{
+            setNow(dayjs());
+            timer = setTimeout(tick,60000 - Date.now() % 60000);
+        }
+        timer = setTimeout(tick,60000 - Date.now() % 60000);
+        return ()=>clearTimeout(timer);
+    },[])
+    return now;
+}
 
-import useWindowstore from "#store/window.js";
-import {navLinks,navIcons} from "#constants";
 const Navbar = () => {
-    const {openWindow} = useWindowstore();
+    const {activeOverlay,openOverlay,closeOverlay,toggleOverlay} = useOverlayStore();
+    const {mode,cycleMode} = useThemeStore();
+    const focused = useWindowstore(selectFocusedWindow);
+    const now = useNow();
+    const {menus} = getMenuBar(focused);
+    const systemMenu = getSystemMenu();
+    const openMenu = activeOverlay?.startsWith(MENU_PREFIX) ? activeOverlay.slice(MENU_PREFIX.length) : null;
+    // navIcons entries either toggle an overlay or run one of these
+    const actions = {theme:cycleMode};
+    const titles = {theme:`Appearance: ${mode.charAt(0).toUpperCase()}${mode.slice(1)}`};
+
+    const run = (item)=>{
+        closeOverlay();
+        item.run();
+    }
+
+    // once one menu is open, hovering the others opens them like on macOS
+    const menuProps = (menu)=>({
+        "aria-haspopup":"menu",
+        "aria-expanded":openMenu === menu.title,
+        onClick:()=>toggleOverlay(`${MENU_PREFIX}${menu.title}`),
+        onMouseEnter:()=>{
+            if(openMenu && openMenu !== menu.title) openOverlay(`${MENU_PREFIX}${menu.title}`);
+        },
+    });
+
     return (
+        <>
+        {/* outside <nav>: its backdrop blur would trap a fixed child inside the bar */}
+        {(openMenu || DROPDOWNS.includes(activeOverlay)) && <div className="menu-backdrop" onClick={closeOverlay}/>}
         <nav>
             <div>
-                <img src="/images/logo.svg" alt="Logo" />
-                <p className="font-bold">Jaiker Siddharth's Portfolio</p>
-                <ul>
-                    {navLinks.map(({id,name,type}) => (
-                        <li key={id} onClick={()=>openWindow(type)}>
-                            <p>{name}</p></li> 
-                    ))}
-                </ul>
+                <div className="menu">
+                    <button type="button" aria-label="System menu" {...menuProps(systemMenu)}>
+                        <img src="/images/logo.svg" alt="Logo" />
+                    </button>
+                    {openMenu === systemMenu.title && <MenuList items={systemMenu.items} onRun={run}/>}
+                </div>
+                {menus.map((menu,i)=>(
+                    <div key={menu.title} className="menu">
+                        <button type="button" className={clsx(i === 0 && "app-name")}
+                        {...menuProps(menu)}>
+                            {menu.title}
+                        </button>
+                        {openMenu === menu.title && <MenuList items={menu.items} onRun={run}/>}
+                    </div>
+                ))}
             </div>
             <div>
                 <ul>
-                    {navIcons.map(({id,img})=>(
-                        <li key={id}>
+                    {navIcons.map(({id,img,overlay,action})=>(
+                        <li key={id} title={titles[action]}
+                        aria-expanded={overlay ? activeOverlay === overlay : undefined}
+                        onClick={overlay ? ()=>toggleOverlay(overlay) : actions[action]}>
                             <img src={img} className="icon-hover"alt={`icon-{$id}`} />
                         </li>
                     )
-                    
+
                 )}
-                
+                    <li>
+                        <button type="button" aria-label="Keyboard shortcuts"
+                        title={`Keyboard Shortcuts (${formatCombo("Mod+/")})`}
+                        onClick={()=>toggleOverlay("shortcuts")}>
+                            <Keyboard size={18} className="icon-hover"/>
+                        </button>
+                    </li>
+
                 </ul>
-                <time>{dayjs().format("dd MMMM D h:mm A")}</time>
+                <div className="menu">
+                    <button type="button" className="clock" aria-haspopup="dialog"
+                    aria-expanded={activeOverlay === "calendar"}
+                    onClick={()=>toggleOverlay("calendar")}>
+                        <time dateTime={now.format()}>{now.format("dd MMMM D h:mm A")}</time>
+                    </button>
+                    {activeOverlay === "calendar" && <Calendar/>}
+                </div>
+                {activeOverlay === "control-center" && <ControlCenter/>}
             </div>
         </nav>
+        </>
     );
 }
-export default Navbar;
\ No newline at end of file
+export default Navbar;
@@ -0,0 +1,49 @@
+import { useEffect, useRef, useState } from "react";
+import useSelectionStore from "#store/selection.js";
+import { renameItem, validateName } from "#lib/files.js";
+
+// Edits an item's name in place. Enter saves, Esc cancels and clicking
+// elsewhere saves if the name can be used.
+const RenameField = ({item}) => {
+    const {stopRename} = useSelectionStore();
+    const [name,setName] = useState(item.name);
+    const [error,setError] = useState(null);
+    const inputRef = useRef(null);
+
+    // like Finder, only the part before the extension is selected
+    useEffect(()=>{
+        const input = inputRef.current;
+        const dot = item.name.lastIndexOf(".");
+        input.focus();
+        input.setSelectionRange(0,item.kind === "file" && dot > 0 ? dot : item.name.length);
+    },[item.name,item.kind])
+
+    const save = ()=>{
+        const problem = validateName(item,name);
+        if(problem) return setError(problem);
+        renameItem(item,name);
+        stopRename();
+    }
+
+    const handleKeyDown = (e)=>{
+        e.stopPropagation();
+        if(e.key === "Enter") save();
+        else if(e.key === "Escape") stopRename();
+    }
+
+    // clicks stay in the field instead of selecting or opening the item
+    const stop = (e)=>e.stopPropagation();
+
+    return (
+        <span className="rename-field">
+            <input ref={inputRef} type="text" value={name} aria-label="Name"
+            aria-invalid={Boolean(error)}
+            onChange={(e)=>{setName(e.target.value); setError(null);}}
+            onKeyDown={handleKeyDown}
+            onBlur={()=>validateName(item,name) ? stopRename() : save()}
+            onClick={stop} onDoubleClick={stop} onPointerDown={stop}/>
+            {error && <span className="error" role="alert">{error}</span>}
+        </span>
+    )
+}
+export default RenameField;
@@ -0,0 +1,60 @@
+import { useState } from "react";
+import useOverlayStore from "#store/overlay.js";
+import { resolve } from "#lib/filesystem.js";
+import { EXPORT_FORMATS, SAVE_AS, saveNoteAs } from "#lib/notes.js";
+
+const getStem = (name)=>{
+    const dot = name.lastIndexOf(".");
+    return dot > 0 ? name.slice(0,dot) : name;
+}
+
+// TextEdit's Save As sheet, which downloads a copy of the note
+const SaveAsForm = ({node,closeOverlay}) => {
+    const [name,setName] = useState(getStem(node.name));
+    const [formatId,setFormatId] = useState(EXPORT_FORMATS[0].id);
+
+    const save = (e)=>{
+        e.preventDefault();
+        if(!name.trim()) return;
+        saveNoteAs(node,name.trim(),formatId);
+        closeOverlay();
+    }
+
+    return (
+        <form className="sheet" role="dialog" aria-labelledby="save-as-title"
+        onClick={(e)=>e.stopPropagation()} onSubmit={save}>
+            <h2 id="save-as-title">Save a copy of “{node.name}”</h2>
+            <label>
+                <span>Save As:</span>
+                <input type="text" value={name} autoFocus required onChange={(e)=>setName(e.target.value)}/>
+            </label>
+            <label>
+                <span>File Format:</span>
+                <select value={formatId} onChange={(e)=>setFormatId(e.target.value)}>
+                    {EXPORT_FORMATS.map(({id,label,extension})=>(
+                        <option key={id} value={id}>{label} ({extension})</option>
+                    ))}
+                </select>
+            </label>
+            <div className="actions">
+                <button type="button" onClick={closeOverlay}>Cancel</button>
+                <button type="submit" className="primary" disabled={!name.trim()}>Save</button>
+            </div>
+        </form>
+    )
+}
+
+const SaveAsDialog = () => {
+    const {activeOverlay,overlayData,closeOverlay} = useOverlayStore();
+    if(activeOverlay !== SAVE_AS) return null;
+    const node = resolve(overlayData?.path);
+    if(!node) return null;
+
+    return (
+        <div id="save-as" onClick={closeOverlay}>
+            {/* keyed so each note starts from its own name */}
+            <SaveAsForm key={node.path} node={node} closeOverlay={closeOverlay}/>
+        </div>
+    )
+}
+export default SaveAsDialog;
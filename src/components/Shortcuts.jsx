@@ -0,0 +1,41 @@
+import useOverlayStore from "#store/overlay.js";
+import { formatCombo, getShortcuts } from "#lib/shortcuts.js";
+import { X } from "lucide-react";
+
+// cheat sheet of every registered shortcut, grouped as they were registered
+const Shortcuts = () => {
+    const {activeOverlay,closeOverlay} = useOverlayStore();
+    if(activeOverlay !== "shortcuts") return null;
+
+    const groups = Object.groupBy(getShortcuts(),({group})=>group);
+
+    return (
+        <div id="shortcuts" onClick={closeOverlay}>
+            <div className="sheet" role="dialog" aria-label="Keyboard shortcuts"
+            onClick={(e)=>e.stopPropagation()}>
+                <header>
+                    <h2>Keyboard Shortcuts</h2>
+                    <button type="button" aria-label="Close" onClick={closeOverlay}>
+                        <X className="icon"/>
+                    </button>
+                </header>
+                <div className="groups">
+                    {Object.entries(groups).map(([group,items])=>(
+                        <section key={group}>
+                            <h3>{group}</h3>
+                            <dl>
+                                {items.map(({combo,description})=>(
+                                    <div key={combo}>
+                                        <dt>{description}</dt>
+                                        <dd><kbd>{formatCombo(combo)}</kbd></dd>
+                                    </div>
+                                ))}
+                            </dl>
+                        </section>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
+export default Shortcuts;
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from "react";
+import clsx from "clsx";
+import useOverlayStore from "#store/overlay.js";
+import { searchSpotlight } from "#lib/spotlight.js";
+import Highlight from "#components/Highlight.jsx";
+import { Code, Link, Newspaper, Search, Zap } from "lucide-react";
+
+// shown for results without an image of their own
+const CATEGORY_ICONS = {Actions:Zap,Articles:Newspaper,Skills:Code,Links:Link};
+
+const Palette = ({onClose}) => {
+    const [query,setQuery] = useState("");
+    const [selected,setSelected] = useState(0);
+    const listRef = useRef(null);
+    const groups = searchSpotlight(query);
+    const results = groups.flatMap(({results})=>results);
+
+    useEffect(()=>{
+        listRef.current?.querySelector(".selected")?.scrollIntoView({block:"nearest"});
+    },[selected])
+
+    const run = (result)=>{
+        onClose();
+        result.run();
+    }
+
+    const handleKeyDown = (e)=>{
+        if(!results.length) return;
+        if(e.key === "ArrowDown" || e.key === "ArrowUp"){
+            e.preventDefault();
+            const step = e.key === "ArrowDown" ? 1 : -1;
+            setSelected((index)=>(index + step + results.length) % results.length);
+        }else if(e.key === "Enter"){
+            e.preventDefault();
+            run(results[selected]);
+        }
+    }
+
+    return (
+        <div className="palette" role="dialog" aria-label="Spotlight"
+        onClick={(e)=>e.stopPropagation()}>
+            <div className="query">
+                <Search size={20}/>
+                <input type="text" autoFocus placeholder="Spotlight Search"
+                aria-label="Spotlight Search"
+                value={query}
+                onChange={(e)=>{
+                    setQuery(e.target.value);
+                    setSelected(0);
+                }}
+                onKeyDown={handleKeyDown}/>
+            </div>
+            {groups.length > 0 && (
+                <div ref={listRef} className="results">
+                    {groups.map(({category,results:items})=>(
+                        <section key={category}>
+                            <h3>{category}</h3>
+                            <ul>
+                                {items.map((result)=>{
+                                    const index = results.indexOf(result);
+                                    const CategoryIcon = CATEGORY_ICONS[category] ?? Search;
+                                    return (
+                                        <li key={result.id} className={clsx(index === selected && "selected")}
+                                        onMouseMove={()=>setSelected(index)}
+                                        onClick={()=>run(result)}>
+                                            {result.icon ? <img src={result.icon} alt="" /> : <CategoryIcon size={18}/>}
+                                            <p><Highlight text={result.title} indices={result.indices}/></p>
+                                            {result.subtitle && <span>{result.subtitle}</span>}
+                                        </li>
+                                    )
+                                })}
+                            </ul>
+                        </section>
+                    ))}
+                </div>
+            )}
+            {query.trim() && !groups.length && <p className="empty">No results for “{query}”</p>}
+        </div>
+    )
+}
+
+const Spotlight = () => {
+    const {activeOverlay,closeOverlay} = useOverlayStore();
+    if(activeOverlay !== "spotlight") return null;
+    // mounted fresh on every open, so the query starts out empty
+    return (
+        <div id="spotlight" onClick={closeOverlay}>
+            <Palette onClose={closeOverlay}/>
+        </div>
+    )
+}
+export default Spotlight;
@@ -2,6 +2,7 @@ import { Container } from "lucide-react";
 import { useRef } from "react";
 import gsap from "gsap";
 import { useGSAP } from "@gsap/react";
+import useSettingsStore from "#store/settings.js";
 const FONT_WEIGHTS = {
     subtitle: {min:100,max:400,default:100},
     title: {min:400,max:900,default:400}
@@ -21,6 +22,7 @@ const setupTextHover = (container, type)=>{
         return gsap.to(letter,{duration,ease: "power2.out",fontVariationSettings: `'wght' ${weight}`});
     }
     const handleMouseMove = (e)=>{
+        if(useSettingsStore.getState().reducedMotion) return;
         const {left} = container.getBoundingClientRect();
         const mouseX = e.clientX - left;
         letters.forEach((letter)=>{
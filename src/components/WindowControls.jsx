@@ -1,15 +1,17 @@
 import useWindowstore from "#store/window.js";
+import { zoomWindow } from "#lib/windows.js";
 
 const WindowControls = ({target}) => {
-    const {closeWindow} = useWindowstore();
+    const {closeWindow,minimizeWindow} = useWindowstore();
+
     return (
-        <div id="window-controls"> 
+        <div id="window-controls">
             <div className="close" onClick={() => closeWindow(target)}/>
-            <div className="minimize"/>
-            <div className="maximize"/>
+            <div className="minimize" onClick={() => minimizeWindow(target)}/>
+            <div className="maximize" onClick={() => zoomWindow(target)}/>
+
 
 
-            
         </div>
 )}
-export default WindowControls;
\ No newline at end of file
+export default WindowControls;
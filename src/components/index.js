@@ -3,6 +3,13 @@ import { Welcome } from "#components/Welcome.jsx";
 import Dock from "#components/Dock.jsx";
 import WindowControls from "#components/WindowControls.jsx";
 import Home from "#components/Home.jsx";
+import Highlight from "#components/Highlight.jsx";
+import Shortcuts from "#components/Shortcuts.jsx";
+import Spotlight from "#components/Spotlight.jsx";
+import EmptyTrashDialog from "#components/EmptyTrashDialog.jsx";
+import ContextMenu from "#components/ContextMenu.jsx";
+import InfoPanel from "#components/InfoPanel.jsx";
+import SaveAsDialog from "#components/SaveAsDialog.jsx";
 export {
-    Navbar,Welcome,Dock,WindowControls,Home
+    Navbar,Welcome,Dock,WindowControls,Home,Highlight,Shortcuts,Spotlight,EmptyTrashDialog,ContextMenu,InfoPanel,SaveAsDialog
 }
\ No newline at end of file
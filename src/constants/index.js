@@ -20,18 +20,22 @@ const navIcons = [
   {
     id: 1,
     img: "/icons/wifi.svg",
+    overlay: "control-center",
   },
   {
     id: 2,
     img: "/icons/search.svg",
+    overlay: "spotlight", // opened by clicking the icon
   },
   {
     id: 3,
     img: "/icons/user.svg",
+    overlay: "control-center",
   },
   {
     id: 4,
     img: "/icons/mode.svg",
+    action: "theme", // cycles light, dark and auto appearance
   },
 ];
 
@@ -70,34 +74,18 @@ const dockApps = [
     id: "trash",
     name: "Archive", // was "Trash"
     icon: "trash.png",
-    canOpen: false,
+    emptyIcon: "trash-empty.svg", // while there's nothing in it
+    canOpen: true,
   },
 ];
 
-const blogPosts = [
-  {
-    id: 1,
-    date: "Sep 2, 2025",
-    title:
-      "TypeScript Explained: What It Is, Why It Matters, and How to Master It",
-    image: "/images/blog1.png",
-    link: "https://jsmastery.com/blog/typescript-explained-what-it-is-why-it-matters-and-how-to-master-it",
-  },
-  {
-    id: 2,
-    date: "Aug 28, 2025",
-    title: "The Ultimate Guide to Mastering Three.js for 3D Development",
-    image: "/images/blog2.png",
-    link: "https://jsmastery.com/blog/the-ultimate-guide-to-mastering-three-js-for-3d-development",
-  },
-  {
-    id: 3,
-    date: "Aug 15, 2025",
-    title: "The Ultimate Guide to Mastering GSAP Animations",
-    image: "/images/blog3.png",
-    link: "https://jsmastery.com/blog/the-ultimate-guide-to-mastering-gsap-animations",
-  },
-];
+// dock icons for windows that aren't dockApps, shown while they're open
+const windowIcons = {
+  resume: "pdf.png",
+  txtfile: "txt.png",
+  imgfile: "image.png",
+  settings: "settings.svg",
+};
 
 const techStack = [
   {
@@ -126,6 +114,13 @@ const techStack = [
   },
 ];
 
+// shown in the Contact window and the Control Center
+const profile = {
+  name: "Jaiker Siddharth",
+  photo: "/images/jsiddharth.jpg",
+  email: "jaikersiddharth@gmail.com",
+};
+
 const socials = [
   {
     id: 1,
@@ -162,57 +157,106 @@ const photosLinks = [
     id: 1,
     icon: "/icons/gicon1.svg",
     title: "Library",
+    type: "library",
   },
   {
     id: 2,
     icon: "/icons/gicon2.svg",
     title: "Memories",
+    type: "memories",
   },
   {
     id: 3,
     icon: "/icons/file.svg",
     title: "Places",
+    type: "places",
   },
   {
     id: 4,
     icon: "/icons/gicon4.svg",
     title: "People",
+    type: "people",
   },
   {
     id: 5,
     icon: "/icons/gicon5.svg",
     title: "Favorites",
+    type: "favorites",
   },
 ];
 
 const gallery = [
   {
     id: 1,
+    name: "gal1.png",
     img: "/images/gal1.png",
+    memory: "Hackathon Weekend",
+    place: "Chennai",
+    people: ["Jaiker Siddharth"],
+    favorite: true,
   },
   {
     id: 2,
+    name: "gal2.png",
     img: "/images/gal2.png",
+    memory: "Hackathon Weekend",
+    place: null,
+    people: [],
+    favorite: false,
   },
   {
     id: 3,
+    name: "gal3.png",
     img: "/images/gal3.png",
+    memory: null,
+    place: "Bengaluru",
+    people: ["Jaiker Siddharth"],
+    favorite: false,
   },
   {
     id: 4,
+    name: "gal4.png",
     img: "/images/gal4.png",
+    memory: null,
+    place: "Chennai",
+    people: [],
+    favorite: true,
   },
 ];
 
+// System Settings › Appearance
+const accentColors = [
+  { id: "blue", name: "Blue", color: "#3b82f6" },
+  { id: "purple", name: "Purple", color: "#a855f7" },
+  { id: "pink", name: "Pink", color: "#ec4899" },
+  { id: "red", name: "Red", color: "#ef4444" },
+  { id: "orange", name: "Orange", color: "#f97316" },
+  { id: "green", name: "Green", color: "#22c55e" },
+  { id: "graphite", name: "Graphite", color: "#8c8c8c" },
+];
+
+// `background` is a CSS background-image
+const wallpapers = [
+  { id: "default", name: "Portfolio", background: 'url("/images/wallpaper.png")' },
+  { id: "hackathon", name: "Hackathon", background: 'url("/images/gal1.png")' },
+  { id: "bengaluru", name: "Bengaluru", background: 'url("/images/gal3.png")' },
+  { id: "dusk", name: "Dusk", background: "linear-gradient(135deg, #1e3a8a, #9333ea 55%, #f97316)" },
+  { id: "lagoon", name: "Lagoon", background: "linear-gradient(160deg, #0f766e, #0ea5e9)" },
+  { id: "graphite", name: "Graphite", background: "linear-gradient(160deg, #4b5563, #111827)" },
+];
+
 export {
   navLinks,
   navIcons,
   dockApps,
-  blogPosts,
+  windowIcons,
   techStack,
+  profile,
   socials,
   photosLinks,
   gallery,
+  accentColors,
+  wallpapers,
 };
 
 const WORK_LOCATION = {
@@ -221,6 +265,7 @@ const WORK_LOCATION = {
   name: "Work",
   icon: "/icons/work.svg",
   kind: "folder",
+  modified: "2025-09-02", // shown in Finder list view; files inherit it
   children: [
     // ▶ Project 1
     {
@@ -228,8 +273,8 @@ const WORK_LOCATION = {
       name: "Blogging-website",
       icon: "/images/folder.png",
       kind: "folder",
+      modified: "2025-06-14",
       position: "top-10 left-5", // icon position inside Finder
-      windowPosition: "top-[5vh] left-5", // optional: Finder window position
       children: [
         {
           id: 1,
@@ -281,8 +326,8 @@ const WORK_LOCATION = {
       name: "AI_Interviewer",
       icon: "/images/folder.png",
       kind: "folder",
+      modified: "2025-08-21",
       position: "top-52 right-80",
-      windowPosition: "top-[20vh] left-7",
       children: [
         {
           id: 1,
@@ -334,8 +379,8 @@ const WORK_LOCATION = {
       name: "Food Delivery App",
       icon: "/images/folder.png",
       kind: "folder",
+      modified: "2025-03-09",
       position: "top-10 left-80",
-      windowPosition: "top-[33vh] left-7",
       children: [
         {
           id: 1,
@@ -389,6 +434,7 @@ const ABOUT_LOCATION = {
   name: "About me",
   icon: "/icons/info.svg",
   kind: "folder",
+  modified: "2025-08-28",
   children: [
     {
       id: 1,
@@ -443,6 +489,7 @@ const RESUME_LOCATION = {
   name: "Resume",
   icon: "/icons/file.svg",
   kind: "folder",
+  modified: "2025-07-30",
   children: [
     {
       id: 1,
@@ -456,12 +503,26 @@ const RESUME_LOCATION = {
   ],
 };
 
+// the PDF shown in the Resume window and offered for download
+export const RESUME_URL = "files/Sid_resume.pdf";
+
+// empty as authored; holds the folders and notes visitors create on the desktop
+const DESKTOP_LOCATION = {
+  id: 5,
+  type: "desktop",
+  name: "Desktop",
+  icon: "/icons/desktop.svg",
+  kind: "folder",
+  children: [],
+};
+
 const TRASH_LOCATION = {
   id: 4,
   type: "trash",
   name: "Trash",
   icon: "/icons/trash.svg",
   kind: "folder",
+  modified: "2025-01-12",
   children: [
     {
       id: 1,
@@ -488,20 +549,45 @@ export const locations = {
   work: WORK_LOCATION,
   about: ABOUT_LOCATION,
   resume: RESUME_LOCATION,
+  desktop: DESKTOP_LOCATION,
   trash: TRASH_LOCATION,
 };
 
+// shown on the desktop along with every project folder in /work and
+// everything in /desktop
+export const desktopFiles = ["/resume/Resume.pdf", "/about/about-me.txt"];
+
 const INITIAL_Z_INDEX = 1000;
 
+// minSize/maxSize bound resizing ({width, height} in px, null for no limit);
+// the area between the Navbar and the Dock always caps the maximum.
+// multiInstance entries are templates: every document opened in them gets
+// its own window, keyed "<windowKey>:<document>" in the window store
+// the state every window starts in; entries below only list what differs
+const createWindowConfig = (overrides = {}) => ({
+  isOpen: false,
+  isMinimized: false,
+  isMaximized: false,
+  prevGeometry: null,
+  position: null,
+  size: null,
+  minSize: null,
+  maxSize: null,
+  zIndex: INITIAL_Z_INDEX,
+  data: null,
+  ...overrides,
+});
+
 const WINDOW_CONFIG = {
-  finder: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  contact: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  resume: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  safari: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  photos: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  terminal: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  txtfile: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
-  imgfile: { isOpen: false, zIndex: INITIAL_Z_INDEX, data: null },
+  finder: createWindowConfig({ minSize: { width: 560, height: 320 } }),
+  contact: createWindowConfig({ minSize: { width: 420, height: 260 }, maxSize: { width: 900, height: 640 } }),
+  resume: createWindowConfig({ minSize: { width: 360, height: 320 }, maxSize: { width: 1200, height: null } }),
+  safari: createWindowConfig({ minSize: { width: 520, height: 320 } }),
+  photos: createWindowConfig({ minSize: { width: 560, height: 360 } }),
+  terminal: createWindowConfig({ minSize: { width: 360, height: 200 } }),
+  txtfile: createWindowConfig({ multiInstance: true, minSize: { width: 320, height: 200 }, maxSize: { width: 960, height: null } }),
+  settings: createWindowConfig({ minSize: { width: 560, height: 380 }, maxSize: { width: 960, height: 720 } }),
+  imgfile: createWindowConfig({ multiInstance: true, minSize: { width: 280, height: 200 } }),
 };
 
 export { INITIAL_Z_INDEX, WINDOW_CONFIG };
\ No newline at end of file
@@ -1,43 +1,256 @@
-import useWindowstore from "#store/window.js";
+import useWindowstore, { getWindowType } from "#store/window.js";
+import useSettingsStore, { motionDuration } from "#store/settings.js";
+import { useShallow } from "zustand/react/shallow";
+import { WINDOW_CONFIG } from "#constants";
 import { useGSAP } from "@gsap/react";
 import { useLayoutEffect, useRef } from "react";
 import gsap from "gsap";
 import { Draggable } from "gsap/Draggable";
+import clsx from "clsx";
+import { getDesktopBounds, WINDOW_GAP } from "#lib/windows.js";
+
+// how close the pointer has to get to a screen edge to snap a window to that half
+const SNAP_THRESHOLD = 12;
+const RESIZE_EDGES = ["n","e","s","w","ne","se","sw","nw"];
+
+// the dock icon a window minimizes into, falling back to the dock itself
+// for windows that have no icon of their own
+const getDockTarget = (windowKey)=>
+    document.querySelector(`#dock [data-window="${windowKey}"]`) ??
+    document.querySelector("#dock .dock-container");
+
+// min wins over max, so a window never shrinks below its minimum
+const clamp = (value,min,max)=>Math.max(min,Math.min(value,max));
+
+// resize limits from WINDOW_CONFIG, capped by the desktop area
+const getSizeLimits = (windowKey,bounds)=>{
+    const {minSize,maxSize} = WINDOW_CONFIG[windowKey];
+    return {
+        minWidth: minSize?.width ?? 0,
+        minHeight: minSize?.height ?? 0,
+        maxWidth: Math.min(maxSize?.width ?? Infinity,bounds.width),
+        maxHeight: Math.min(maxSize?.height ?? Infinity,bounds.height),
+    };
+}
+
+// the left or right half of the desktop when the pointer is at a screen edge
+const getSnapRect = (pointerX)=>{
+    const bounds = getDesktopBounds();
+    const half = (bounds.width - WINDOW_GAP) / 2;
+    if(pointerX <= SNAP_THRESHOLD) return {...bounds,width:half};
+    if(pointerX >= window.innerWidth - SNAP_THRESHOLD) return {...bounds,left:bounds.left + half + WINDOW_GAP,width:half};
+    return null;
+}
+
 export const WindowWrapper = (Component , windowKey)=>{
-    const Wrapped = (props)=>{
-        const {focusWindow , windows} = useWindowstore();
-        const { isOpen,zIndex}= windows[windowKey] || {};
+    const WindowFrame = ({windowId,...props})=>{
+        const {focusWindow ,setWindowPosition,setWindowSize, windows} = useWindowstore();
+        const { isOpen,isMinimized,isMaximized,prevGeometry,position,size,zIndex}= windows[windowId] || {};
         const ref = useRef(null);
+        const restorePoint = useRef(null);
+        // the size a window had before it was snapped to a screen half
+        const unsnappedSize = useRef(null);
 
 
         useGSAP(()=>{
             const el = ref.current;
             if(!el || !isOpen) return;
-            el.style.display = "block";
+            el.style.display = "";
+            const y = position?.y ?? 0;
             gsap.fromTo(el,
-                {opacity:0,scale:0.8,y:40},
-                {opacity:1,scale:1,y:0,duration:0.4,ease:"power3.out"});
+                {opacity:0,scale:0.8,y:y+40},
+                {opacity:1,scale:1,y,duration:motionDuration(0.4),ease:"power3.out"});
         },[isOpen])
 
         useGSAP(()=>{
             const el = ref.current;
             if(!el) return;
-            const [instance] = Draggable.create(el,{onPress(){focusWindow(windowKey)}});
+
+            if(isMinimized && isOpen){
+                const target = getDockTarget(windowKey);
+                if(!target) return;
+                const rect = el.getBoundingClientRect();
+                const iconRect = target.getBoundingClientRect();
+                const x = gsap.getProperty(el,"x");
+                const y = gsap.getProperty(el,"y");
+                restorePoint.current = {x,y};
+
+                // genie: pinch towards the icon first, then get sucked into it;
+                // scale: shrink straight into it
+                const isGenie = useSettingsStore.getState().minimizeEffect === "genie";
+                const timeline = gsap.timeline({onComplete:()=>{el.style.display = "none";}})
+                    .set(el,{transformOrigin:isGenie ? "50% 100%" : "50% 50%"});
+                if(isGenie) timeline.to(el,{scaleX:0.4,skewX:(iconRect.left - rect.left) > 0 ? 8 : -8,duration:motionDuration(0.2),ease:"power1.in"});
+                timeline.to(el,{
+                    x: x + (iconRect.left + iconRect.width/2) - (rect.left + rect.width/2),
+                    y: y + (iconRect.top + iconRect.height/2) - (isGenie ? rect.bottom : rect.top + rect.height/2),
+                    scaleX:0.05,
+                    scaleY:0.05,
+                    skewX:0,
+                    opacity:0,
+                    duration:motionDuration(0.35),
+                    ease:"power2.in",
+                });
+                return;
+            }
+
+            if(!restorePoint.current) return;
+            const {x,y} = restorePoint.current;
+            restorePoint.current = null;
+            // closed while minimized: put it back without animating
+            if(!isOpen){
+                gsap.set(el,{x,y,clearProps:"transformOrigin,skewX"});
+                return;
+            }
+            el.style.display = "";
+            gsap.to(el,{x,y,scale:1,opacity:1,duration:motionDuration(0.4),ease:"power3.out",
+                onComplete:()=>gsap.set(el,{clearProps:"transformOrigin,skewX"})});
+        },[isMinimized])
+
+        useGSAP(()=>{
+            const el = ref.current;
+            if(!el) return;
+
+            if(isMaximized){
+                const rect = el.getBoundingClientRect();
+                const bounds = getDesktopBounds();
+                gsap.to(el,{
+                    x: gsap.getProperty(el,"x") + bounds.left - rect.left,
+                    y: gsap.getProperty(el,"y") + bounds.top - rect.top,
+                    width: bounds.width,
+                    height: bounds.height,
+                    duration:motionDuration(0.35),
+                    ease:"power3.out",
+                });
+                return;
+            }
+
+            // a window the user resized keeps that size, others go back to their CSS size
+            const {size:savedSize} = useWindowstore.getState().windows[windowId];
+            if(!prevGeometry){
+                if(!savedSize) gsap.set(el,{clearProps:"width,height"});
+                return;
+            }
+            const {x,y,width,height} = prevGeometry;
+            gsap.to(el,{x,y,width,height,duration:motionDuration(0.35),ease:"power3.out",
+                onComplete:()=>{if(!savedSize) gsap.set(el,{clearProps:"width,height"});}});
+        },[isMaximized])
+
+        useGSAP(()=>{
+            const el = ref.current;
+            if(!el) return;
+            // put the window back where it was dragged and sized to in a restored session
+            if(position) gsap.set(el,{x:position.x,y:position.y});
+            if(size) gsap.set(el,{width:size.width,height:size.height});
+            const [instance] = Draggable.create(el,{
+                // presses on the resize handles must not start a drag
+                dragClickables:false,
+                clickableTest:(target)=>Boolean(target.closest(".resize-handle")),
+                onPress(){
+                    focusWindow(windowId);
+                    this.applyBounds(getDesktopBounds());
+                },
+                onDragStart(){
+                    if(!unsnappedSize.current) return;
+                    // dragging a snapped window away gives it its old size back,
+                    // keeping the same spot of the title bar under the pointer
+                    const {width,height} = unsnappedSize.current;
+                    unsnappedSize.current = null;
+                    const rect = el.getBoundingClientRect();
+                    const ratio = (this.pointerX - rect.left) / rect.width;
+                    gsap.set(el,{width,height,x:this.x + (this.pointerX - ratio * width) - rect.left});
+                    setWindowSize(windowId,{width,height});
+                    this.update(true);
+                },
+                onDragEnd(){
+                    const snap = getSnapRect(this.pointerX);
+                    if(!snap){
+                        setWindowPosition(windowId,{x:this.x,y:this.y});
+                        return;
+                    }
+                    const rect = el.getBoundingClientRect();
+                    unsnappedSize.current ??= {width:rect.width,height:rect.height};
+                    const x = this.x + snap.left - rect.left;
+                    const y = this.y + snap.top - rect.top;
+                    gsap.to(el,{x,y,width:snap.width,height:snap.height,duration:motionDuration(0.25),ease:"power3.out"});
+                    setWindowPosition(windowId,{x,y});
+                    setWindowSize(windowId,{width:snap.width,height:snap.height});
+                },
+            });
             return ()=>{instance.kill();}
         },[]);
+
+        const startResize = (edge,e)=>{
+            const el = ref.current;
+            if(!el || isMaximized) return;
+            e.preventDefault();
+            focusWindow(windowId);
+            unsnappedSize.current = null;
+
+            const rect = el.getBoundingClientRect();
+            const bounds = getDesktopBounds();
+            const {minWidth,minHeight,maxWidth,maxHeight} = getSizeLimits(windowKey,bounds);
+            const startX = gsap.getProperty(el,"x");
+            const startY = gsap.getProperty(el,"y");
+            let geometry = null;
+
+            const onMove = (event)=>{
+                const dx = event.clientX - e.clientX;
+                const dy = event.clientY - e.clientY;
+                let {left,top,width,height} = rect;
+                if(edge.includes("e")) width = clamp(rect.width + dx,minWidth,Math.min(maxWidth,bounds.left + bounds.width - rect.left));
+                if(edge.includes("w")){
+                    width = clamp(rect.width - dx,minWidth,Math.min(maxWidth,rect.right - bounds.left));
+                    left = rect.right - width;
+                }
+                if(edge.includes("s")) height = clamp(rect.height + dy,minHeight,Math.min(maxHeight,bounds.top + bounds.height - rect.top));
+                if(edge.includes("n")){
+                    height = clamp(rect.height - dy,minHeight,Math.min(maxHeight,rect.bottom - bounds.top));
+                    top = rect.bottom - height;
+                }
+                geometry = {x:startX + left - rect.left,y:startY + top - rect.top,width,height};
+                gsap.set(el,geometry);
+            }
+            const onUp = ()=>{
+                window.removeEventListener("pointermove",onMove);
+                window.removeEventListener("pointerup",onUp);
+                if(!geometry) return;
+                const {x,y,width,height} = geometry;
+                setWindowPosition(windowId,{x,y});
+                setWindowSize(windowId,{width,height});
+            }
+            window.addEventListener("pointermove",onMove);
+            window.addEventListener("pointerup",onUp);
+        }
+
         useLayoutEffect(()=>{
             const el = ref.current;
             if(!el) return;
-            el.style.display = isOpen ? "block" : "none";
+            el.style.display = isOpen ? "" : "none";
         },[isOpen])
-        return <section id={windowKey} ref={ref} style={{zIndex}}
-        className="absolute">
-            <Component {...props}/>
+        return <section id={windowId} ref={ref} style={{zIndex}}
+        className={clsx("absolute",windowKey,isMaximized && "maximized",(size || isMaximized) && "sized")}>
+            {RESIZE_EDGES.map((edge)=>(
+                <div key={edge} className="resize-handle" data-edge={edge}
+                onPointerDown={(e)=>startResize(edge,e)}/>
+            ))}
+            <Component windowId={windowId} {...props}/>
             </section>
     }
+
+    // multiInstance windows get a section for every open document
+    const Instances = (props)=>{
+        const windowIds = useWindowstore(useShallow((state)=>Object.keys(state.windows)
+            .filter((windowId)=>windowId !== windowKey && getWindowType(windowId) === windowKey)));
+        return windowIds.map((windowId)=><WindowFrame key={windowId} windowId={windowId} {...props}/>);
+    }
+
+    const Wrapped = WINDOW_CONFIG[windowKey].multiInstance
+        ? Instances
+        : (props)=><WindowFrame windowId={windowKey} {...props}/>;
     Wrapped.displayName = `WindowWrapper(${Component.displayName || Component.name || 'Component'})`;
     return Wrapped;
 
-    
+
 }
- 
\ No newline at end of file
+
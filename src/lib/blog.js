@@ -0,0 +1,118 @@
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import hljs from "highlight.js/lib/core";
+import javascript from "highlight.js/lib/languages/javascript";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import css from "highlight.js/lib/languages/css";
+import bash from "highlight.js/lib/languages/bash";
+import json from "highlight.js/lib/languages/json";
+
+// Blog posts are Markdown files in src/content/blog, collected by Vite at
+// build time. The file name is the post's slug; metadata lives in a small
+// frontmatter block:
+//
+//   ---
+//   title: "My post"
+//   date: 2025-09-02
+//   image: /images/blog1.png
+//   tags: [react, gsap]
+//   summary: One line shown on the index page.
+//   ---
+
+hljs.registerLanguage("javascript", javascript);
+hljs.registerLanguage("typescript", typescript);
+hljs.registerLanguage("xml", xml);
+hljs.registerLanguage("css", css);
+hljs.registerLanguage("bash", bash);
+hljs.registerLanguage("json", json);
+hljs.registerAliases(["js", "jsx"], { languageName: "javascript" });
+hljs.registerAliases(["ts", "tsx"], { languageName: "typescript" });
+hljs.registerAliases(["html"], { languageName: "xml" });
+hljs.registerAliases(["sh", "shell"], { languageName: "bash" });
+
+const WORDS_PER_MINUTE = 200;
+
+const files = import.meta.glob("../content/blog/*.md", { query: "?raw", import: "default", eager: true });
+
+export const slugify = (text) =>
+    text.toLowerCase().trim().replace(/[^\w\s-]/g, "").replace(/[\s_]+/g, "-").replace(/-+/g, "-");
+
+const parseValue = (value) => {
+    const text = value.trim();
+    if (text.startsWith("[") && text.endsWith("]")) {
+        return text.slice(1, -1).split(",").map(parseValue).filter(Boolean);
+    }
+    return text.replace(/^(["'])(.*)\1$/, "$2");
+};
+
+/** Splits a Markdown file into its frontmatter fields and body. */
+export const parseFrontmatter = (source) => {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { data: {}, body: source };
+    const data = {};
+    match[1].split(/\r?\n/).forEach((line) => {
+        const separator = line.indexOf(":");
+        if (separator === -1) return;
+        data[line.slice(0, separator).trim()] = parseValue(line.slice(separator + 1));
+    });
+    return { data, body: source.slice(match[0].length) };
+};
+
+const marked = new Marked(
+    markedHighlight({
+        emptyLangClass: "hljs",
+        langPrefix: "hljs language-",
+        highlight(code, lang) {
+            const language = hljs.getLanguage(lang) ? lang : "plaintext";
+            return language === "plaintext" ? code : hljs.highlight(code, { language }).value;
+        },
+    }),
+    {
+        renderer: {
+            // ids let the table of contents link to headings
+            heading({ tokens, depth, text }) {
+                return `<h${depth} id="${slugify(text)}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+            },
+        },
+    },
+);
+
+const getReadingTime = (body) =>
+    Math.max(1, Math.ceil(body.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+
+const getToc = (body) =>
+    marked.lexer(body)
+        .filter((token) => token.type === "heading" && token.depth <= 3)
+        .map(({ text, depth }) => ({ id: slugify(text), text, depth }));
+
+const createPost = (path, source) => {
+    const { data, body } = parseFrontmatter(source);
+    const slug = path.slice(path.lastIndexOf("/") + 1).replace(/\.md$/, "");
+    let html = null;
+    return {
+        slug,
+        title: data.title ?? slug,
+        date: data.date ?? null,
+        image: data.image ?? null,
+        summary: data.summary ?? "",
+        tags: data.tags ?? [],
+        body,
+        readingTime: getReadingTime(body),
+        toc: getToc(body),
+        // rendered on first read, the index page never needs it
+        get html() {
+            html ??= marked.parse(body);
+            return html;
+        },
+    };
+};
+
+/** All posts, newest first. */
+export const posts = Object.entries(files)
+    .map(([path, source]) => createPost(path, source))
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+export const getPost = (slug) => posts.find((post) => post.slug === slug) ?? null;
+
+export const tags = [...new Set(posts.flatMap((post) => post.tags))].sort();
@@ -0,0 +1,77 @@
+// URL handling for the Safari window. `portfolio://` URLs are pages built
+// into the portfolio; everything else is loaded in a sandboxed iframe.
+
+export const INTERNAL_PROTOCOL = "portfolio://";
+export const HOME_URL = `${INTERNAL_PROTOCOL}blog`;
+
+const SEARCH_URL = "https://duckduckgo.com/?q=";
+
+// sites known to refuse being framed (X-Frame-Options / frame-ancestors).
+// This list is the only detection there is: the browser doesn't tell the
+// embedding page, so these skip straight to the fallback page and any other
+// site that refuses shows up blank
+const BLOCKED_HOSTS = [
+    "google.com",
+    "github.com",
+    "linkedin.com",
+    "twitter.com",
+    "x.com",
+    "medium.com",
+    "youtube.com",
+    "youtu.be",
+    "duckduckgo.com",
+];
+
+export const isInternalUrl = (url) => url.startsWith(INTERNAL_PROTOCOL);
+
+/** Turns whatever was typed in the address bar into a URL to load. */
+export const normalizeUrl = (input) => {
+    const text = input.trim();
+    if (!text) return HOME_URL;
+    if (isInternalUrl(text) || /^https?:\/\//i.test(text)) return text;
+    // "example.com" or "localhost:3000/path" without a protocol
+    if (!/\s/.test(text) && /^[\w-]+(\.[\w-]+)+(:\d+)?(\/.*)?$|^localhost(:\d+)?(\/.*)?$/i.test(text)) {
+        return `https://${text}`;
+    }
+    return `${SEARCH_URL}${encodeURIComponent(text)}`;
+};
+
+/** Splits `portfolio://blog/my-post` into its route segments (["blog", "my-post"]). */
+export const parseInternalUrl = (url) =>
+    url.slice(INTERNAL_PROTOCOL.length).split(/[?#]/)[0].split("/").filter(Boolean);
+
+/** Query parameters of a URL, internal or not. */
+export const getQuery = (url) => new URLSearchParams(url.split("#")[0].split("?")[1] ?? "");
+
+export const getHost = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+        return "";
+    }
+};
+
+// a page from the portfolio's own origin could lift the frame's sandbox,
+// since the frame allows scripts and same-origin access
+const isSameOrigin = (url) => {
+    try {
+        return new URL(url).origin === window.location.origin;
+    } catch {
+        return false;
+    }
+};
+
+export const isEmbeddable = (url) => {
+    const host = getHost(url);
+    return !isSameOrigin(url) && !BLOCKED_HOSTS.some((blocked) => host === blocked || host.endsWith(`.${blocked}`));
+};
+
+/** Short label for tabs: the page title for internal pages, the host otherwise. */
+export const getTabTitle = (url) => {
+    if (isInternalUrl(url)) {
+        const [page = "home", ...params] = parseInternalUrl(url);
+        const title = params.length ? params[params.length - 1].replace(/-/g, " ") : page;
+        return title.charAt(0).toUpperCase() + title.slice(1);
+    }
+    return getHost(url) || url;
+};
@@ -0,0 +1,130 @@
+import { profile } from "#constants";
+import useContactStore from "#store/contact.js";
+
+// The Contact form sends through an adapter: { label, send(message),
+// handsOff? } where `send` resolves with a confirmation to show, or rejects
+// with an Error whose message is shown instead. `handsOff` adapters only pass
+// the message on (e.g. to an email app) and can't tell whether it went out. Pick one with VITE_CONTACT_ADAPTER; otherwise a
+// VITE_CONTACT_ENDPOINT means "http", dev builds use "mock" and production
+// falls back to "mailto".
+
+export const LIMITS = { name: 100, email: 254, subject: 150, message: 5000 };
+const MIN_MESSAGE_LENGTH = 10;
+
+// at most RATE_LIMIT.max messages per RATE_LIMIT.windowMs, and one per MIN_INTERVAL_MS
+const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+const MIN_INTERVAL_MS = 30 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const adapters = new Map();
+
+export const registerContactAdapter = (id, adapter) => {
+    adapters.set(id, adapter);
+};
+
+const env = import.meta.env ?? {};
+
+export const getContactAdapter = () => {
+    const id = env.VITE_CONTACT_ADAPTER ?? (env.VITE_CONTACT_ENDPOINT ? "http" : env.DEV ? "mock" : "mailto");
+    return adapters.get(id) ?? adapters.get("mailto");
+};
+
+/** Field -> error message for everything wrong with `fields`; empty when valid. */
+export const validateMessage = (fields) => {
+    const errors = {};
+    const name = fields.name.trim();
+    const email = fields.email.trim();
+    const subject = fields.subject.trim();
+    const message = fields.message.trim();
+
+    if (!name) errors.name = "Please enter your name.";
+    if (!email) errors.email = "Please enter your email.";
+    else if (!EMAIL_PATTERN.test(email)) errors.email = "That doesn't look like an email address.";
+    if (!subject) errors.subject = "Please add a subject.";
+    if (message.length < MIN_MESSAGE_LENGTH) errors.message = `Please write at least ${MIN_MESSAGE_LENGTH} characters.`;
+
+    Object.entries(LIMITS).forEach(([field, max]) => {
+        if (!errors[field] && fields[field].trim().length > max) errors[field] = `Please keep this under ${max} characters.`;
+    });
+    return errors;
+};
+
+/** Milliseconds until another message may be sent, 0 if one can go now. */
+export const getRetryAfter = (sentAt, now = Date.now()) => {
+    const recent = sentAt.filter((time) => now - time < RATE_LIMIT.windowMs);
+    const waits = [];
+    if (recent.length) waits.push(recent.at(-1) + MIN_INTERVAL_MS - now);
+    if (recent.length >= RATE_LIMIT.max) waits.push(recent.at(-RATE_LIMIT.max) + RATE_LIMIT.windowMs - now);
+    return Math.max(0, ...waits);
+};
+
+const formatWait = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+};
+
+/**
+ * Validates and sends the form. `website` is the honeypot field: people never
+ * see it, so a value there means a bot, which gets a fake success. Resolves
+ * with { errors } for invalid input or { confirmation, handedOff } once sent;
+ * send failures and rate limiting reject. A handed off message keeps its
+ * draft and doesn't count towards the rate limit.
+ */
+export const submitMessage = async ({ website, ...fields }) => {
+    const errors = validateMessage(fields);
+    if (Object.keys(errors).length) return { errors };
+
+    if (website) return { confirmation: "Thanks! Your message has been sent." };
+
+    const { sentAt, recordSent, clearDraft } = useContactStore.getState();
+    const retryAfter = getRetryAfter(sentAt);
+    if (retryAfter) throw new Error(`You've sent a few messages already. Please try again in ${formatWait(retryAfter)}.`);
+
+    const message = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, value.trim()]));
+    const adapter = getContactAdapter();
+    const confirmation = await adapter.send(message);
+    if (adapter.handsOff) return { confirmation, handedOff: true };
+    recordSent(Date.now());
+    clearDraft();
+    return { confirmation, handedOff: false };
+};
+
+registerContactAdapter("mailto", {
+    label: "Email app",
+    // the email app may not open, or the visitor may not send it
+    handsOff: true,
+    send: async ({ name, email, subject, message }) => {
+        const body = `${message}\n\n— ${name} <${email}>`;
+        window.location.href = `mailto:${profile.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        return "Your email app should open with the message ready to send. Your draft stays here in case it didn't.";
+    },
+});
+
+registerContactAdapter("http", {
+    label: "Web form",
+    send: async (message) => {
+        let response;
+        try {
+            response = await fetch(env.VITE_CONTACT_ENDPOINT, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", Accept: "application/json" },
+                body: JSON.stringify(message),
+            });
+        } catch {
+            throw new Error("Couldn't reach the server. Check your connection and try again.");
+        }
+        if (!response.ok) throw new Error(`The message couldn't be sent (error ${response.status}). Please try again later.`);
+        return "Thanks! Your message has been sent.";
+    },
+});
+
+// for development: nothing leaves the browser; a subject of "fail" tries the error state
+registerContactAdapter("mock", {
+    label: "Mock",
+    send: async (message) => {
+        await new Promise((done) => setTimeout(done, 800));
+        if (message.subject.toLowerCase() === "fail") throw new Error("The mock adapter was asked to fail.");
+        return "Thanks! Your message has been sent (mock).";
+    },
+});
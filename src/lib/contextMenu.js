@@ -0,0 +1,33 @@
+import useOverlayStore from "#store/overlay.js";
+
+// Right-click menus. Each kind of thing that has one registers it with
+// `registerContextMenu(target, menu)`, where `menu(context)` returns
+// MenuList items (see #lib/menus.js) for the context it was opened with,
+// e.g. { path } for a file. The menu is the "context-menu" overlay, so it
+// replaces any other overlay and Esc closes it.
+
+export const CONTEXT_MENU = "context-menu";
+
+const registry = new Map();
+
+export const registerContextMenu = (target, menu) => {
+    registry.set(target, menu);
+};
+
+/**
+ * Opens `target`'s menu at the pointer, or at `point` ({x, y}) for menus
+ * that belong to an element rather than the pointer, like the dock's.
+ */
+export const openContextMenu = (event, target, context = {}, point = null) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const { x, y } = point ?? { x: event.clientX, y: event.clientY };
+    useOverlayStore.getState().openOverlay(CONTEXT_MENU, { target, context, x, y });
+};
+
+/** The items for an open menu, [] when its target has no menu registered. */
+export const getContextMenu = ({ target, context }) => registry.get(target)?.(context) ?? [];
+
+/** The context of the open menu if it's `target`'s, otherwise null. */
+export const getOpenContext = ({ activeOverlay, overlayData }, target) =>
+    activeOverlay === CONTEXT_MENU && overlayData?.target === target ? overlayData.context : null;
@@ -0,0 +1,154 @@
+import { desktopFiles } from "#constants";
+import useDesktopStore from "#store/desktop.js";
+import { list, resolve, stat } from "#lib/filesystem.js";
+import { getDesktopBounds } from "#lib/windows.js";
+
+// Desktop icons sit on a grid of CELL_WIDTH × CELL_HEIGHT cells laid over
+// the desktop area, filled top to bottom and then left to right like on
+// macOS. Icons keep the cell they were dropped in; the rest take the free
+// cells in the order getDesktopItems returns them.
+
+export const CELL_WIDTH = 104;
+export const CELL_HEIGHT = 100;
+
+export const SORT_KEYS = [
+    { id: "name", label: "Name" },
+    { id: "kind", label: "Kind" },
+    { id: "modified", label: "Date Modified" },
+];
+
+// where items created on the desktop go
+export const DESKTOP_PATH = "/desktop";
+
+/** Every project folder in /work, the desktopFiles that aren't in the Trash and everything in /desktop. */
+export const getDesktopItems = () => [
+    ...list("/work").filter((item) => item.kind === "folder"),
+    ...desktopFiles.map((path) => resolve(path)).filter(Boolean),
+    ...list(DESKTOP_PATH),
+];
+
+/** Where the grid starts on the page and how many cells fit across and down. */
+export const getGrid = () => {
+    const { top, left, width, height } = getDesktopBounds();
+    return {
+        top,
+        left,
+        columns: Math.max(1, Math.floor(width / CELL_WIDTH)),
+        rows: Math.max(1, Math.floor(height / CELL_HEIGHT)),
+    };
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+const cellKey = ({ col, row }) => `${col}:${row}`;
+const cellAt = (index, rows) => ({ col: Math.floor(index / rows), row: index % rows });
+
+/**
+ * The cell of each item as a Map of path -> {col, row}. Saved cells that no
+ * longer fit, e.g. after the window shrank, are pulled back onto the grid.
+ */
+export const layoutIcons = (items, positions, { columns, rows }) => {
+    const layout = new Map();
+    const taken = new Set();
+    const place = (path, cell) => {
+        layout.set(path, cell);
+        taken.add(cellKey(cell));
+    };
+
+    items.forEach(({ path }) => {
+        const saved = positions[path];
+        if (!saved) return;
+        const cell = { col: Math.min(saved.col, columns - 1), row: Math.min(saved.row, rows - 1) };
+        if (!taken.has(cellKey(cell))) place(path, cell);
+    });
+    let next = 0;
+    items.forEach(({ path }) => {
+        if (layout.has(path)) return;
+        while (taken.has(cellKey(cellAt(next, rows)))) next++;
+        place(path, cellAt(next, rows));
+    });
+    return layout;
+};
+
+/** Top left corner of a cell, in page coordinates. */
+export const cellToPoint = ({ col, row }, grid) => ({
+    x: grid.left + col * CELL_WIDTH,
+    y: grid.top + row * CELL_HEIGHT,
+});
+
+const nearestFreeCell = (cell, taken, { columns, rows }) => {
+    let nearest = cell;
+    let nearestDistance = Infinity;
+    for (let col = 0; col < columns; col++) {
+        for (let row = 0; row < rows; row++) {
+            const distance = (col - cell.col) ** 2 + (row - cell.row) ** 2;
+            if (distance < nearestDistance && !taken.has(cellKey({ col, row }))) {
+                nearest = { col, row };
+                nearestDistance = distance;
+            }
+        }
+    }
+    return nearest;
+};
+
+// saves a cell for every icon, so none of them move to fill the gaps later
+const saveLayout = (layout) => useDesktopStore.getState().setPositions(Object.fromEntries(layout));
+
+/** Moves the icons at `paths` by how far they were dragged, each snapping to the nearest free cell. */
+export const dropIcons = (paths, { x, y }) => {
+    const grid = getGrid();
+    const layout = layoutIcons(getDesktopItems(), useDesktopStore.getState().positions, grid);
+    const taken = new Set([...layout].filter(([path]) => !paths.includes(path)).map(([, cell]) => cellKey(cell)));
+    const cols = Math.round(x / CELL_WIDTH);
+    const rows = Math.round(y / CELL_HEIGHT);
+
+    paths.forEach((path) => {
+        const from = layout.get(path);
+        if (!from) return;
+        const target = nearestFreeCell({
+            col: clamp(from.col + cols, 0, grid.columns - 1),
+            row: clamp(from.row + rows, 0, grid.rows - 1),
+        }, taken, grid);
+        taken.add(cellKey(target));
+        layout.set(path, target);
+    });
+    saveLayout(layout);
+};
+
+/** Puts the icon at `path` in the free cell nearest to a point on the page, e.g. where a menu was opened. */
+export const placeIcon = (path, { x, y }) => {
+    const grid = getGrid();
+    const layout = layoutIcons(getDesktopItems(), useDesktopStore.getState().positions, grid);
+    layout.delete(path);
+    const taken = new Set([...layout.values()].map(cellKey));
+    const cell = {
+        col: clamp(Math.floor((x - grid.left) / CELL_WIDTH), 0, grid.columns - 1),
+        row: clamp(Math.floor((y - grid.top) / CELL_HEIGHT), 0, grid.rows - 1),
+    };
+    layout.set(path, nearestFreeCell(cell, taken, grid));
+    saveLayout(layout);
+};
+
+// fills the grid from the top left in the order of `items`
+const arrange = (items) => {
+    const { rows } = getGrid();
+    saveLayout(new Map(items.map(({ path }, i) => [path, cellAt(i, rows)])));
+};
+
+/** Packs the icons into the top left corner, keeping their order down each column. */
+export const cleanUp = () => {
+    const items = getDesktopItems();
+    const layout = layoutIcons(items, useDesktopStore.getState().positions, getGrid());
+    const byCell = (a, b) => layout.get(a.path).col - layout.get(b.path).col || layout.get(a.path).row - layout.get(b.path).row;
+    arrange([...items].sort(byCell));
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" });
+const COMPARE = {
+    name: byName,
+    kind: (a, b) => stat(a).type.localeCompare(stat(b).type) || byName(a, b),
+    // newest first, like Finder
+    modified: (a, b) => new Date(stat(b).modified ?? 0) - new Date(stat(a).modified ?? 0) || byName(a, b),
+};
+
+/** Cleans up with the icons sorted by one of SORT_KEYS. */
+export const sortDesktop = (key) => arrange([...getDesktopItems()].sort(COMPARE[key]));
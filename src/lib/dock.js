@@ -0,0 +1,123 @@
+import { dockApps, windowIcons } from "#constants";
+import useWindowstore, { getWindowType, selectFocusedWindow } from "#store/window.js";
+import { getFileType, getParent, resolve, TRASH_PATH, walk } from "#lib/filesystem.js";
+import { openItem } from "#lib/open.js";
+import { getAppName, SEPARATOR } from "#lib/menus.js";
+import { hasTrash, requestEmptyTrash } from "#lib/trash.js";
+
+// Dock entries are per app (window type): the pinned dockApps, then one for
+// each other type with open windows, like TextEdit or Preview on macOS.
+// Clicking an app brings it forward instead of closing it.
+
+// kept at the far end of the dock, after any running apps
+export const TRASH_ID = "trash";
+
+// dock apps that aren't windows of their own
+const APP_OPENERS = {
+    [TRASH_ID]: () => openItem(resolve(TRASH_PATH)),
+};
+
+const windows = () => useWindowstore.getState();
+
+/** Open windows of an app, front-most first. */
+export const getAppWindows = (allWindows, windowKey) =>
+    Object.keys(allWindows)
+        .filter((windowId) => getWindowType(windowId) === windowKey && allWindows[windowId].isOpen)
+        .sort((a, b) => allWindows[b].zIndex - allWindows[a].zIndex);
+
+/**
+ * Pinned apps, running apps that aren't pinned, then the Trash. Each entry
+ * has `isRunning`, and `startsSection` where the dock draws a divider.
+ */
+export const getDockEntries = (allWindows) => {
+    const pinned = dockApps.map((app) => {
+        const isEmpty = app.id === TRASH_ID && !hasTrash();
+        return { ...app, icon: `/images/${isEmpty && app.emptyIcon ? app.emptyIcon : app.icon}`, isPinned: true };
+    });
+    const trash = pinned.filter(({ id }) => id === TRASH_ID);
+    const running = [...new Set(Object.keys(allWindows)
+        .filter((windowId) => allWindows[windowId].isOpen)
+        .map(getWindowType))]
+        .filter((windowKey) => !dockApps.some(({ id }) => id === windowKey))
+        .map((windowKey) => ({
+            id: windowKey,
+            name: getAppName(windowKey),
+            icon: `/images/${windowIcons[windowKey] ?? "plain.png"}`,
+            canOpen: true,
+            isPinned: false,
+        }));
+    return [...pinned.filter(({ id }) => id !== TRASH_ID), ...running, ...trash].map((entry, i, entries) => ({
+        ...entry,
+        isRunning: getAppWindows(allWindows, entry.id).length > 0,
+        startsSection: i > 0 && (entry.id === TRASH_ID || (!entry.isPinned && entries[i - 1].isPinned)),
+    }));
+};
+
+/**
+ * Brings an app forward: its front-most visible window, or the last minimized
+ * one when all are minimized; opens it when it isn't running.
+ */
+export const activateApp = (windowKey) => {
+    if (APP_OPENERS[windowKey]) return APP_OPENERS[windowKey]();
+    const { windows: all, openWindow, focusWindow, restoreWindow } = windows();
+    const appWindows = getAppWindows(all, windowKey);
+    if (!appWindows.length) return openWindow(windowKey);
+    const visible = appWindows.find((windowId) => !all[windowId].isMinimized);
+    if (visible) return focusWindow(visible);
+    restoreWindow(appWindows[0]);
+};
+
+/** Closes every window of an app. */
+export const quitApp = (windowKey) => {
+    const { windows: all, closeWindow } = windows();
+    getAppWindows(all, windowKey).forEach(closeWindow);
+};
+
+const showWindow = (windowId) => {
+    const { windows: all, focusWindow, restoreWindow } = windows();
+    if (all[windowId].isMinimized) restoreWindow(windowId);
+    else focusWindow(windowId);
+};
+
+// the file a window shows: its own document, or the only file that opens in it
+const getDocument = (windowId) => {
+    const data = windows().windows[windowId]?.data;
+    if (data?.path) return resolve(data.path);
+    const windowKey = getWindowType(windowId);
+    const files = walk().filter((node) => node.kind === "file" && getFileType(node.fileType)?.window === windowKey);
+    return files.length === 1 ? files[0] : null;
+};
+
+const getWindowTitle = (windowId) =>
+    windows().windows[windowId]?.data?.name ?? getAppName(getWindowType(windowId));
+
+/** The right-click menu for a dock entry, as MenuList items. */
+export const getDockMenu = ({ id: windowKey, canOpen }) => {
+    if (windowKey === TRASH_ID) {
+        return [
+            { label: "Open", run: () => activateApp(TRASH_ID) },
+            SEPARATOR,
+            { label: "Empty Trash…", disabled: !hasTrash(), run: requestEmptyTrash },
+        ];
+    }
+    const state = windows();
+    const appWindows = getAppWindows(state.windows, windowKey);
+    const focused = selectFocusedWindow(state);
+    const file = getDocument(appWindows[0] ?? windowKey);
+    const folder = file && getParent(file);
+
+    return [
+        ...appWindows.map((windowId) => ({
+            id: windowId,
+            label: getWindowTitle(windowId),
+            checked: windowId === focused,
+            run: () => showWindow(windowId),
+        })),
+        ...(appWindows.length ? [SEPARATOR] : []),
+        { label: "Show in Finder", disabled: !folder, run: () => openItem(folder) },
+        SEPARATOR,
+        appWindows.length
+            ? { label: "Quit", run: () => quitApp(windowKey) }
+            : { label: "Open", disabled: !canOpen, run: () => activateApp(windowKey) },
+    ];
+};
@@ -0,0 +1,174 @@
+import useFilesStore from "#store/files.js";
+import useTrashStore from "#store/trash.js";
+import useSelectionStore from "#store/selection.js";
+import useLocationStore from "#store/Location.js";
+import useDesktopStore from "#store/desktop.js";
+import useOverlayStore from "#store/overlay.js";
+import useWindowstore from "#store/window.js";
+import { getFreeName, getParent, joinPath, list, resolve, ROOT_PATH, TRASH_PATH } from "#lib/filesystem.js";
+import { openItem } from "#lib/open.js";
+import { canPutBack, canTrash, hasTrash, isInTrash, moveToTrash, putBack, requestEmptyTrash } from "#lib/trash.js";
+import { registerContextMenu } from "#lib/contextMenu.js";
+import { SEPARATOR } from "#lib/menus.js";
+import { getNoteText } from "#lib/notes.js";
+
+// Creating, renaming and inspecting items, and the context menus for them.
+// What visitors create goes to the files store, an overlay over the
+// authored filesystem. `scope` is where the item is shown ("desktop" or
+// "finder"), for selecting it there.
+
+export const NEW_ITEMS = {
+    folder: { name: "untitled folder", kind: "folder", icon: "/images/folder.png" },
+    note: { name: "Untitled.txt", kind: "file", fileType: "txt", icon: "/images/txt.png", content: "" },
+};
+
+/** Re-renders a component whenever items are created, renamed, trashed or put back. */
+export const useFileChanges = () => {
+    useTrashStore((state) => state.trashed.length + state.deleted.length);
+    useFilesStore((state) => state.created.length);
+    useFilesStore((state) => state.renamed);
+};
+
+// the same "YYYY-MM-DD" dates the authored items have
+const today = () => new Date().toISOString().slice(0, 10);
+
+/** Any folder outside the Trash, other than the root. */
+export const canCreateIn = (folder) => {
+    const node = resolve(folder);
+    return node?.kind === "folder" && node.path !== ROOT_PATH && node.path !== TRASH_PATH && !isInTrash(node);
+};
+
+/** Creates one of NEW_ITEMS in `folder` and starts renaming it, like Finder's New Folder. */
+export const createItem = (folder, type, scope) => {
+    const parent = resolve(folder);
+    if (!canCreateIn(parent)) return null;
+    const name = getFreeName(parent, NEW_ITEMS[type].name);
+    useFilesStore.getState().create({ ...NEW_ITEMS[type], name, parentPath: parent.sourcePath, modified: today() });
+    const path = joinPath(parent.path, name);
+    useSelectionStore.getState().startRename(scope, path);
+    return resolve(path);
+};
+
+/** Text files, into a folder new items can go in. */
+export const canDuplicate = (item) => {
+    const node = resolve(item);
+    return node?.fileType === "txt" && canCreateIn(node.parentPath);
+};
+
+/**
+ * Makes an editable note next to `item` with the same text, e.g. from an
+ * authored file, which stays read-only; returns the copy.
+ */
+export const duplicateNote = (item) => {
+    const node = resolve(item);
+    if (!canDuplicate(node)) return null;
+    const parent = getParent(node);
+    const dot = node.name.lastIndexOf(".");
+    const copyName = dot > 0 ? `${node.name.slice(0, dot)} copy${node.name.slice(dot)}` : `${node.name} copy`;
+    const name = getFreeName(parent, copyName);
+    const image = node.image ?? node.imageUrl;
+    useFilesStore.getState().create({
+        ...NEW_ITEMS.note,
+        name,
+        parentPath: parent.sourcePath,
+        modified: today(),
+        content: getNoteText(node),
+        ...(image && { image }),
+    });
+    return resolve(joinPath(parent.path, name));
+};
+
+/** Duplicates `item` and opens the copy in TextEdit. */
+export const openCopy = (item) => {
+    const copy = duplicateNote(item);
+    if (copy) openItem(copy);
+};
+
+// same rules as the Trash: top-level folders and trashed items keep their names
+export const canRename = canTrash;
+
+/** Checks a new name for `item`; returns why it can't be used, or null. */
+export const validateName = (item, name) => {
+    const node = resolve(item);
+    const trimmed = name.trim();
+    if (!trimmed) return "A name is required.";
+    if (trimmed.includes("/")) return "Names can't contain “/”.";
+    if (trimmed.startsWith(".")) return "Names can't begin with a dot.";
+    const isTaken = list(node.parentPath).some((child) => child !== node && child.name === trimmed);
+    return isTaken ? `The name “${trimmed}” is already taken.` : null;
+};
+
+const movePath = (path, from, to) =>
+    path === from || path.startsWith(`${from}/`) ? to + path.slice(from.length) : path;
+
+/** Renames `item`, keeping it selected and where it was on the desktop; false if the name can't be used. */
+export const renameItem = (item, name) => {
+    const node = resolve(item);
+    if (!node || !canRename(node) || validateName(node, name)) return false;
+    const newName = name.trim();
+    if (newName === node.name) return true;
+
+    const from = node.path;
+    const to = joinPath(node.parentPath, newName);
+    useFilesStore.getState().rename(node.sourcePath, newName);
+
+    const { positions, setPositions } = useDesktopStore.getState();
+    setPositions(Object.fromEntries(Object.entries(positions).map(([path, cell]) => [movePath(path, from, to), cell])));
+    useLocationStore.getState().relocate(from, to);
+    const { scope, paths, select } = useSelectionStore.getState();
+    if (scope) select(scope, paths.map((path) => movePath(path, from, to)));
+    return true;
+};
+
+/** Shows the Get Info panel for `item`. */
+export const showInfo = (item) => {
+    const node = resolve(item);
+    if (node) useOverlayStore.getState().openOverlay("info", { path: node.path });
+};
+
+/** Opens Terminal in `folder`. */
+export const openInTerminal = (folder) => {
+    const node = resolve(folder);
+    // `openedAt` makes reopening in the same folder a change the window notices
+    if (node) useWindowstore.getState().openWindow("terminal", { cwd: node.path, openedAt: Date.now() });
+};
+
+// file commands act on the whole selection when the item is part of it
+const getTargets = (node, scope) => {
+    const { scope: selectedScope, paths } = useSelectionStore.getState();
+    return selectedScope === scope && paths.includes(node.path) ? paths : [node.path];
+};
+
+registerContextMenu("item", ({ path, scope }) => {
+    const node = resolve(path);
+    if (!node) return [];
+    const targets = getTargets(node, scope);
+    const items = [
+        { label: "Open", run: () => targets.forEach((target) => openItem(target)) },
+        SEPARATOR,
+        { label: "Get Info", run: () => showInfo(node) },
+        { label: "Rename", disabled: !canRename(node), run: () => useSelectionStore.getState().startRename(scope, node.path) },
+        ...(node.fileType === "txt" ? [{ label: "Duplicate", disabled: !canDuplicate(node), run: () => openCopy(node) }] : []),
+        SEPARATOR,
+        isInTrash(node)
+            ? { label: "Put Back", disabled: !targets.some(canPutBack), run: () => putBack(targets) }
+            : { label: "Move to Trash", disabled: !targets.some(canTrash), run: () => moveToTrash(targets) },
+    ];
+    if (node.kind === "folder") items.push(SEPARATOR, { label: "Open in Terminal", run: () => openInTerminal(node) });
+    return items;
+});
+
+// the background of a Finder window
+registerContextMenu("folder", ({ path, scope }) => {
+    const node = resolve(path);
+    if (!node) return [];
+    const items = [
+        { label: "New Folder", disabled: !canCreateIn(node), run: () => createItem(node, "folder", scope) },
+        { label: "New Text Note", disabled: !canCreateIn(node), run: () => createItem(node, "note", scope) },
+        SEPARATOR,
+        { label: "Get Info", run: () => showInfo(node) },
+        { label: "Open in Terminal", run: () => openInTerminal(node) },
+    ];
+    if (node.path === TRASH_PATH) items.push(SEPARATOR, { label: "Empty Trash…", disabled: !hasTrash(), run: requestEmptyTrash });
+    return items;
+});
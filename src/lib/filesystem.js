@@ -0,0 +1,234 @@
+import { locations } from "#constants";
+
+// Virtual filesystem built from the `locations` tree. Every node gets a
+// unique `path` (also used as its `id`) and a `parentPath` link, so nothing
+// has to navigate by object identity or by the per-folder numeric ids.
+//
+//   /work/AI_Interviewer/Design.fig
+//   /about/about-me.txt
+//
+// Top level folders are named by their `type` (work, about, resume, desktop, trash).
+//
+// What visitors change sits in an overlay on top: items moved to the Trash
+// are mounted under /trash with an `originalPath` to put them back to, and
+// their own folders and notes and any renames are merged in; the authored
+// tree itself is never changed. Every node has a `sourcePath`, where it was
+// authored or created, which is what the overlay refers to it by.
+
+const nodes = new Map();
+
+export const ROOT_PATH = "/";
+export const TRASH_PATH = "/trash";
+
+export const joinPath = (dir, segment) => (dir === ROOT_PATH ? `/${segment}` : `${dir}/${segment}`);
+
+export const basename = (path) => path.slice(path.lastIndexOf("/") + 1);
+
+// `trashed` and `deleted` are source paths, `created` holds items made by
+// visitors as { parentPath, name, kind, ... } with the source path of their
+// folder, and `renamed` maps source paths to new names
+let overlay = { trashed: [], deleted: [], created: [], renamed: {} };
+
+// source paths that aren't shown where they were authored or created
+let hidden = new Set();
+
+// authored and created items by source path
+let sources = new Map();
+
+// the nodes they're mounted as, wherever that is now
+const mounted = new Map();
+
+const childrenOf = (item, source) => [
+    ...(item.children ?? []),
+    ...overlay.created.filter((created) => created.parentPath === source),
+];
+
+const index = (item, source) => {
+    sources.set(source, item);
+    childrenOf(item, source).forEach((child) => index(child, joinPath(source, child.name)));
+};
+
+// "notes.txt" -> "notes 2.txt" while the name is taken in `folder`
+const uniqueName = (folder, name) => {
+    const taken = new Set(folder.children.map((child) => child.name));
+    const dot = name.lastIndexOf(".");
+    const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+    let candidate = name;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${stem} ${n}${extension}`;
+    return candidate;
+};
+
+const mount = (item, parentPath, source, name = overlay.renamed[source] ?? item.name) => {
+    const segment = parentPath === ROOT_PATH && item.type ? item.type : name;
+    const path = joinPath(parentPath, segment);
+    const node = { ...item, name, id: path, path, parentPath, sourcePath: source };
+    if (item.kind === "folder") {
+        node.children = [];
+        childrenOf(item, source).forEach((child) => {
+            const childSource = joinPath(source, child.name);
+            if (hidden.has(childSource)) return;
+            // a put back item can meet a newer one of the same name
+            const childName = uniqueName(node, overlay.renamed[childSource] ?? child.name);
+            node.children.push(mount(child, path, childSource, childName));
+        });
+    }
+    nodes.set(path, node);
+    mounted.set(source, node);
+    return node;
+};
+
+const root = {
+    id: ROOT_PATH,
+    path: ROOT_PATH,
+    parentPath: null,
+    name: "Macintosh HD",
+    kind: "folder",
+};
+
+/**
+ * Rebuilds the tree with `changes`, any of the overlay's { trashed,
+ * deleted, created, renamed }, applied on top of the authored one.
+ */
+export const applyOverlay = (changes = {}) => {
+    overlay = { ...overlay, ...changes };
+    const { trashed, deleted } = overlay;
+    hidden = new Set([...trashed, ...deleted]);
+    sources = new Map();
+    Object.values(locations).forEach((location) => index(location, joinPath(ROOT_PATH, location.type)));
+
+    nodes.clear();
+    mounted.clear();
+    root.children = Object.values(locations).map((location) => mount(location, ROOT_PATH, joinPath(ROOT_PATH, location.type)));
+    nodes.set(ROOT_PATH, root);
+
+    const trash = nodes.get(TRASH_PATH);
+    trashed.forEach((originalPath) => {
+        const item = sources.get(originalPath);
+        if (!item || deleted.includes(originalPath)) return;
+        const node = mount(item, TRASH_PATH, originalPath, uniqueName(trash, overlay.renamed[originalPath] ?? item.name));
+        node.originalPath = originalPath;
+        trash.children.push(node);
+    });
+};
+
+applyOverlay();
+
+/**
+ * `name`, or "name 2", "name 3"… if `folder` already has an item by that
+ * name or once had one that's now in the Trash.
+ */
+export const getFreeName = (folder, name) => {
+    const node = resolve(folder);
+    const sourceNames = childrenOf(sources.get(node.sourcePath) ?? {}, node.sourcePath).map((child) => child.name);
+    const taken = { children: [...node.children, ...sourceNames.map((sourceName) => ({ name: sourceName }))] };
+    return uniqueName(taken, name);
+};
+
+const normalize = (path, from) => {
+    const absolute = path.startsWith("/") || path.startsWith("~");
+    const segments = absolute ? [] : from.split("/").filter(Boolean);
+    path.split("/").forEach((segment) => {
+        if (!segment || segment === "." || segment === "~") return;
+        if (segment === "..") segments.pop();
+        else segments.push(segment);
+    });
+    return `/${segments.join("/")}`;
+};
+
+/**
+ * Returns the node at `path`, or null. Relative paths (and `.`/`..`) are
+ * resolved against `from`; `~` is an alias for the root.
+ */
+export const resolve = (path = ROOT_PATH, from = ROOT_PATH) => {
+    if (path && typeof path === "object") return nodes.get(path.path) ?? null;
+    return nodes.get(normalize(path, from)) ?? null;
+};
+
+/** The node for a source path, e.g. after the item was renamed or trashed; null once it's gone. */
+export const resolveSource = (sourcePath) => mounted.get(sourcePath) ?? null;
+
+/** Children of a folder given as node or path; [] for files and unknown paths. */
+export const list = (dir) => resolve(dir)?.children ?? [];
+
+export const getParent = (node) => {
+    const target = resolve(node);
+    return target?.parentPath ? resolve(target.parentPath) : null;
+};
+
+/** Every node below `dir`, parents before their children. */
+export const walk = (dir = ROOT_PATH) =>
+    list(dir).flatMap((node) => [node, ...walk(node)]);
+
+/** Folders from the root down to `node`, including both ends. */
+export const getTrail = (node) => {
+    const trail = [];
+    for (let current = resolve(node); current; current = getParent(current)) trail.unshift(current);
+    return trail;
+};
+
+/**
+ * The lines of a txt file: what was written in it, or the `subtitle` and
+ * `description` paragraphs it was authored with.
+ */
+export const getLines = (node) =>
+    typeof node.content === "string"
+        ? node.content.split("\n")
+        : [node.subtitle, ...(node.description ?? [])].filter(Boolean);
+
+// bytes of text a file holds; only txt files have content we can measure
+const getSize = (node) => {
+    if (node.fileType !== "txt") return null;
+    return new Blob([getLines(node).join("\n")]).size;
+};
+
+// files carry no dates of their own and take the one of their closest folder
+const getModified = (node) => {
+    for (let current = node; current; current = getParent(current)) {
+        if (current.modified) return current.modified;
+    }
+    return null;
+};
+
+export const stat = (path) => {
+    const node = resolve(path);
+    if (!node) return null;
+    const { kind, fileType, name, parentPath } = node;
+    return {
+        path: node.path,
+        name,
+        kind,
+        fileType: fileType ?? null,
+        parentPath,
+        childCount: kind === "folder" ? node.children.length : 0,
+        size: getSize(node),
+        modified: getModified(node),
+        type: kind === "folder" ? "Folder" : getFileType(fileType)?.label ?? "Document",
+    };
+};
+
+/** A `stat` size for display: "3 items", "812 bytes", "1.2 KB" or "--". */
+export const formatSize = ({ kind, childCount, size }) => {
+    if (kind === "folder") return `${childCount} item${childCount === 1 ? "" : "s"}`;
+    if (size === null) return "--";
+    return size < 1000 ? `${size} bytes` : `${(size / 1000).toFixed(1)} KB`;
+};
+
+// which window opens a given `fileType`; entries with `open` handle the item
+// themselves instead (e.g. links that leave the portfolio)
+const fileTypes = new Map();
+
+export const registerFileType = (fileType, { label, window: windowKey, open }) => {
+    fileTypes.set(fileType, { fileType, label, window: windowKey, open });
+};
+
+export const getFileType = (fileType) => fileTypes.get(fileType) ?? null;
+
+const openHref = (item) => {
+    if (item.href) window.open(item.href, "_blank");
+};
+
+registerFileType("txt", { label: "Plain Text", window: "txtfile" });
+registerFileType("img", { label: "Image", window: "imgfile" });
+registerFileType("pdf", { label: "PDF Document", window: "resume" });
+registerFileType("url", { label: "Web Link", window: "safari" });
+registerFileType("fig", { label: "Figma Design", open: openHref });
@@ -0,0 +1,135 @@
+import { dockApps, navLinks } from "#constants";
+import useWindowstore, { getWindowType } from "#store/window.js";
+import useOverlayStore from "#store/overlay.js";
+import { resolve } from "#lib/filesystem.js";
+import { openItem } from "#lib/open.js";
+import { zoomWindow } from "#lib/windows.js";
+import { cleanUp, SORT_KEYS, sortDesktop } from "#lib/desktop.js";
+
+// The menu bar shows the focused window's app and its menus. Windows declare
+// theirs with `registerMenus(windowKey, { appName, menus })`, where `menus`
+// receives the focused window's id and returns [{ title, items }]. An item is
+// { label, run, shortcut?, disabled?, checked? } or SEPARATOR; `shortcut` is
+// only displayed, the shortcut registry does the key handling.
+// Apps get a default File and Window menu unless they declare their own.
+
+export const SEPARATOR = { separator: true };
+
+export const DESKTOP_NAME = "Jaiker Siddharth's Portfolio";
+
+const registry = new Map();
+
+export const registerMenus = (windowKey, { appName, menus = () => [] }) => {
+    registry.set(windowKey, { appName, menus });
+};
+
+const windows = () => useWindowstore.getState();
+const overlays = () => useOverlayStore.getState();
+
+const openAbout = () => openItem(resolve("/about/about-me.txt"));
+
+const closeAllWindows = () => {
+    const { windows: all, closeWindow } = windows();
+    Object.keys(all).filter((windowId) => all[windowId].isOpen).forEach(closeWindow);
+};
+
+/** The logo menu, the same for every app. */
+export const getSystemMenu = () => ({
+    title: "System",
+    items: [
+        { label: "About This Portfolio", run: openAbout },
+        SEPARATOR,
+        { label: "System Settings…", shortcut: "Mod+,", run: () => windows().openWindow("settings") },
+        SEPARATOR,
+        { label: "Spotlight Search…", shortcut: "Mod+K", run: () => overlays().openOverlay("spotlight") },
+        { label: "Keyboard Shortcuts", shortcut: "Mod+/", run: () => overlays().openOverlay("shortcuts") },
+        SEPARATOR,
+        { label: "Close All Windows", run: closeAllWindows },
+    ],
+});
+
+/** The name shown for a window type in the menu bar and the dock. */
+export const getAppName = (windowKey) =>
+    registry.get(windowKey)?.appName ??
+    dockApps.find(({ id }) => id === windowKey)?.name ??
+    windowKey.charAt(0).toUpperCase() + windowKey.slice(1);
+
+const fileMenu = (windowId) => ({
+    title: "File",
+    items: [
+        { label: "Open…", shortcut: "Mod+K", run: () => overlays().openOverlay("spotlight") },
+        SEPARATOR,
+        { label: "Close Window", shortcut: "Alt+W", run: () => windows().closeWindow(windowId) },
+    ],
+});
+
+const windowMenu = (windowId) => ({
+    title: "Window",
+    items: [
+        { label: "Minimize", shortcut: "Mod+M", run: () => windows().minimizeWindow(windowId) },
+        { label: "Zoom", run: () => zoomWindow(windowId) },
+        SEPARATOR,
+        { label: "Close", shortcut: "Alt+W", run: () => windows().closeWindow(windowId) },
+        { label: "Close All", run: closeAllWindows },
+    ],
+});
+
+const goMenu = () => ({
+    title: "Go",
+    items: navLinks.map(({ name, type }) => ({ label: name, run: () => windows().openWindow(type) })),
+});
+
+// arranging the desktop icons, while no window is focused
+const desktopViewMenu = () => ({
+    title: "View",
+    items: [
+        { label: "Clean Up", run: cleanUp },
+        SEPARATOR,
+        ...SORT_KEYS.map(({ id, label }) => ({ id: `sort-${id}`, label: `Sort By ${label}`, run: () => sortDesktop(id) })),
+    ],
+});
+
+const helpMenu = () => ({
+    title: "Help",
+    items: [
+        { label: "Keyboard Shortcuts", shortcut: "Mod+/", run: () => overlays().openOverlay("shortcuts") },
+        { label: "About This Portfolio", run: openAbout },
+    ],
+});
+
+/**
+ * The menu bar for the focused window, or for the desktop when nothing is
+ * focused: { appName, menus }, the first menu being the one named after the app.
+ */
+export const getMenuBar = (windowId) => {
+    if (!windowId) {
+        const desktopMenu = { title: DESKTOP_NAME, items: [{ label: "About This Portfolio", run: openAbout }] };
+        return { appName: DESKTOP_NAME, menus: [desktopMenu, desktopViewMenu(), goMenu(), helpMenu()] };
+    }
+
+    const windowKey = getWindowType(windowId);
+    const appName = getAppName(windowKey);
+    const own = registry.get(windowKey)?.menus(windowId) ?? [];
+    const has = (title) => own.some((menu) => menu.title === title);
+    const appMenu = {
+        title: appName,
+        items: [
+            { label: `About ${appName}`, run: openAbout },
+            SEPARATOR,
+            { label: `Hide ${appName}`, shortcut: "Mod+M", run: () => windows().minimizeWindow(windowId) },
+            { label: `Quit ${appName}`, run: () => windows().closeWindow(windowId) },
+        ],
+    };
+
+    return {
+        appName,
+        menus: [
+            appMenu,
+            ...(has("File") ? [] : [fileMenu(windowId)]),
+            ...own,
+            ...(has("Go") ? [] : [goMenu()]),
+            ...(has("Window") ? [] : [windowMenu(windowId)]),
+            helpMenu(),
+        ],
+    };
+};
@@ -0,0 +1,125 @@
+import { Marked } from "marked";
+import useFilesStore, { getSourcePath } from "#store/files.js";
+import useOverlayStore from "#store/overlay.js";
+import { resolve } from "#lib/filesystem.js";
+import { isInTrash } from "#lib/trash.js";
+import { downloadText } from "#lib/open.js";
+
+// TextEdit documents. Notes visitors create keep their text as Markdown in
+// `content`, saved with the files store as they type; the authored txt files
+// and their `subtitle` and `description` paragraphs stay read-only.
+
+export const SAVE_AS = "save-as";
+
+export const EXPORT_FORMATS = [
+    { id: "txt", label: "Plain Text", extension: ".txt", type: "text/plain" },
+    { id: "md", label: "Markdown", extension: ".md", type: "text/markdown" },
+];
+
+/** Notes visitors created, while they're out of the Trash. */
+export const isEditable = (item) => {
+    const node = resolve(item);
+    if (node?.fileType !== "txt" || isInTrash(node)) return false;
+    return useFilesStore.getState().created.some((created) => getSourcePath(created) === node.sourcePath);
+};
+
+/** A note's Markdown; authored files are turned into it, e.g. for a copy. */
+export const getNoteText = (node) =>
+    typeof node.content === "string"
+        ? node.content
+        : [node.subtitle && `### ${node.subtitle}`, ...(node.description ?? [])].filter(Boolean).join("\n\n");
+
+/** Saves `text` as the note's content. */
+export const writeNote = (item, text) => {
+    const node = resolve(item);
+    if (!isEditable(node)) return;
+    useFilesStore.getState().update(node.sourcePath, { content: text, modified: new Date().toISOString().slice(0, 10) });
+};
+
+const escapeHtml = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// what visitors write is shown as Markdown only: raw HTML is escaped and
+// links can't run scripts
+const marked = new Marked({
+    breaks: true,
+    renderer: {
+        html({ text }) {
+            return escapeHtml(text);
+        },
+        link({ href, tokens }) {
+            const text = this.parser.parseInline(tokens);
+            if (!/^(https?:|mailto:)/i.test(href)) return text;
+            return `<a href="${escapeHtml(href)}" target="_blank" rel="noreferrer">${text}</a>`;
+        },
+    },
+});
+
+export const renderNote = (text) => marked.parse(text);
+
+/** `text` without its Markdown marks, for saving as plain text. */
+export const toPlainText = (text) =>
+    text
+        .replace(/^#{1,6} /gm, "")
+        .replace(/\*\*(.+?)\*\*/g, "$1")
+        .replace(/\b_(.+?)_\b/g, "$1");
+
+// Formatting works on the Markdown around the selection: `wrap` formats
+// toggle marks around it, `prefix` formats toggle a mark at the start of
+// each line it touches.
+export const FORMATS = [
+    { id: "bold", label: "Bold", shortcut: "Mod+B", wrap: "**" },
+    { id: "italic", label: "Italic", shortcut: "Mod+I", wrap: "_" },
+    { id: "heading", label: "Heading", prefix: () => "## " },
+    { id: "bullets", label: "Bulleted List", prefix: () => "- " },
+    { id: "numbers", label: "Numbered List", prefix: (i) => `${i + 1}. ` },
+];
+
+const LINE_MARK = /^(#{1,6} |[-*] |\d+\. )/;
+
+const wrap = (text, start, end, mark) => {
+    const before = text.slice(0, start);
+    const after = text.slice(end);
+    const selected = text.slice(start, end);
+    if (before.endsWith(mark) && after.startsWith(mark)) {
+        return {
+            text: before.slice(0, -mark.length) + selected + after.slice(mark.length),
+            start: start - mark.length,
+            end: end - mark.length,
+        };
+    }
+    return { text: before + mark + selected + mark + after, start: start + mark.length, end: end + mark.length };
+};
+
+const prefixLines = (text, start, end, prefix) => {
+    const from = text.lastIndexOf("\n", start - 1) + 1;
+    const to = text.indexOf("\n", end) === -1 ? text.length : text.indexOf("\n", end);
+    const lines = text.slice(from, to).split("\n");
+    const isApplied = lines.every((line, i) => line.startsWith(prefix(i)));
+    // one line mark at a time, so a heading becomes a list item instead of both
+    const block = lines
+        .map((line, i) => (isApplied ? line.slice(prefix(i).length) : prefix(i) + line.replace(LINE_MARK, "")))
+        .join("\n");
+    return { text: text.slice(0, from) + block + text.slice(to), start: from, end: from + block.length };
+};
+
+/** Applies one of FORMATS to the selection from `start` to `end`; the new text and selection. */
+export const applyFormat = (text, { start, end }, formatId) => {
+    const format = FORMATS.find(({ id }) => id === formatId);
+    return format.wrap ? wrap(text, start, end, format.wrap) : prefixLines(text, start, end, format.prefix);
+};
+
+/** Asks where to save a copy of the note, see SaveAsDialog. */
+export const requestSaveAs = (item) => {
+    const node = resolve(item);
+    if (node) useOverlayStore.getState().openOverlay(SAVE_AS, { path: node.path });
+};
+
+/** Downloads the note as `name` in one of EXPORT_FORMATS. */
+export const saveNoteAs = (item, name, formatId) => {
+    const node = resolve(item);
+    const format = EXPORT_FORMATS.find(({ id }) => id === formatId);
+    if (!node || !format) return;
+    const text = getNoteText(node);
+    downloadText(`${name}${format.extension}`, format.id === "md" ? text : toPlainText(text), format.type);
+};
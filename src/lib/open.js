@@ -0,0 +1,58 @@
+import useWindowstore from "#store/window.js";
+import useLocationStore from "#store/Location.js";
+import useSafariStore from "#store/safari.js";
+import { getFileType, resolve } from "#lib/filesystem.js";
+
+// windows that take their document through their own store instead of `data`
+const WINDOW_OPENERS = {
+    safari: (node) => useSafariStore.getState().openTab(node.href),
+};
+
+/**
+ * Opens a filesystem node the way Finder does: folders in Finder, files in
+ * the window registered for their `fileType`.
+ */
+export const openItem = (item) => {
+    const node = resolve(item) ?? item;
+    const { openWindow } = useWindowstore.getState();
+
+    if (node.kind === "folder") {
+        useLocationStore.getState().setActiveLocation(node);
+        return openWindow("finder");
+    }
+
+    const fileType = getFileType(node.fileType);
+    if (!fileType) return;
+    if (fileType.open) return fileType.open(node);
+    const opener = WINDOW_OPENERS[fileType.window];
+    if (opener) {
+        opener(node);
+        return openWindow(fileType.window);
+    }
+    openWindow(fileType.window, node);
+};
+
+/** Opens a `gallery` photo in an image window; photos aren't files. */
+export const openPhoto = ({ name, img }) => useWindowstore.getState().openWindow("imgfile", { name, imageUrl: img });
+
+/** Opens a URL in Safari, as if it were a link file. */
+export const openUrl = (href) => openItem({ kind: "file", fileType: "url", href });
+
+/** Saves `href` through the browser's download prompt. */
+export const downloadFile = (href) => {
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = "";
+    link.click();
+};
+
+/** Saves `text` as a file called `name` through the browser's download prompt. */
+export const downloadText = (name, text, type = "text/plain") => {
+    const href = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = name;
+    link.click();
+    // the download has started by the next task
+    setTimeout(() => URL.revokeObjectURL(href));
+};
@@ -0,0 +1,190 @@
+import { useEffect } from "react";
+import { gallery, WINDOW_CONFIG } from "#constants";
+import useWindowstore, { getInstanceId, getWindowType } from "#store/window.js";
+import useLocationStore from "#store/Location.js";
+import useSafariStore, { selectActiveTab } from "#store/safari.js";
+import useResumeStore from "#store/resume.js";
+import { basename, resolve, ROOT_PATH, walk } from "#lib/filesystem.js";
+import { INTERNAL_PROTOCOL } from "#lib/browser.js";
+import { openItem, openPhoto } from "#lib/open.js";
+
+// Hash routes for the desktop, kept in sync with the window stores:
+//
+//   #/finder/work/AI_Interviewer   Finder at that folder
+//   #/open/txt/about-me            a document in its window
+//   #/photos/gal1                  a Photos image in its window
+//   #/resume?page=2                the resume at page 2
+//   #/blog/mastering-gsap          an article in Safari
+//   #/contact                      any other window by its key
+//
+// The URL always names the focused window. Opening or closing a window
+// pushes a history entry holding every open window's route, so the browser's
+// back/forward buttons close and reopen windows in order.
+
+const DOCUMENT_TYPES = { txtfile: "txt", imgfile: "img" };
+
+// "AI Interviewer Project.txt" -> "ai-interviewer-project"
+const toDocumentSlug = (name) =>
+    name.replace(/\.[^.]+$/, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+const findDocument = (fileType, slug) =>
+    walk().find((node) => node.fileType === fileType && toDocumentSlug(basename(node.path)) === slug) ?? null;
+
+const findPhoto = (slug) => gallery.find(({ img }) => toDocumentSlug(basename(img)) === slug) ?? null;
+
+/** The route describing a window in its current state. */
+export const getRoute = (windowKey) => {
+    const win = useWindowstore.getState().windows[windowKey];
+    if (windowKey === "finder") {
+        const { path } = useLocationStore.getState().activeLocation;
+        return path === ROOT_PATH ? "/finder" : `/finder${path}`;
+    }
+    if (windowKey === "resume") {
+        const { page } = useResumeStore.getState();
+        return page > 1 ? `/resume?page=${page}` : "/resume";
+    }
+    if (windowKey === "safari") {
+        const tab = selectActiveTab(useSafariStore.getState());
+        const url = tab.history[tab.index];
+        const blogPost = url.match(new RegExp(`^${INTERNAL_PROTOCOL}blog/([^/?#]+)`));
+        return blogPost ? `/blog/${blogPost[1]}` : "/safari";
+    }
+    if (DOCUMENT_TYPES[getWindowType(windowKey)]) {
+        const node = resolve(win.data);
+        if (node) return `/open/${node.fileType}/${toDocumentSlug(basename(node.path))}`;
+        // images opened from Photos aren't files
+        const photo = gallery.find(({ img }) => img === win.data?.imageUrl);
+        return photo ? `/photos/${toDocumentSlug(basename(photo.img))}` : null;
+    }
+    return `/${windowKey}`;
+};
+
+/** A link to `route` that works outside the portfolio, e.g. for sharing. */
+export const getAppLink = (route) => `${window.location.origin}${window.location.pathname}#${route}`;
+
+/** Parses a route into the window it opens and how to open it, or null. */
+export const parseRoute = (route) => {
+    const [pathname, search = ""] = route.replace(/^#?\/?/, "").split("?");
+    const [head, ...rest] = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    const { openWindow } = useWindowstore.getState();
+
+    if (head === "finder") {
+        const folder = resolve(`/${rest.join("/")}`);
+        if (folder?.kind !== "folder") return null;
+        return { windowKey: "finder", open: () => openItem(folder) };
+    }
+    if (head === "open" && rest.length === 2) {
+        const node = findDocument(rest[0], rest[1]);
+        if (!node) return null;
+        const type = Object.keys(DOCUMENT_TYPES).find((key) => DOCUMENT_TYPES[key] === node.fileType);
+        return { windowKey: getInstanceId(type, node), open: () => openItem(node) };
+    }
+    if (head === "photos" && rest.length) {
+        const photo = findPhoto(rest[0]);
+        if (!photo) return null;
+        return { windowKey: getInstanceId("imgfile", { imageUrl: photo.img }), open: () => openPhoto(photo) };
+    }
+    if (head === "resume") {
+        const page = Number(new URLSearchParams(search).get("page")) || 1;
+        return {
+            windowKey: "resume",
+            open: () => {
+                useResumeStore.getState().setPage(page);
+                openWindow("resume");
+            },
+        };
+    }
+    if (head === "blog" && rest.length) {
+        return {
+            windowKey: "safari",
+            open: () => {
+                // reuse a tab already showing the article, so back/forward don't pile up tabs
+                const url = `${INTERNAL_PROTOCOL}blog/${rest[0]}`;
+                const { tabs, openTab, setActiveTab } = useSafariStore.getState();
+                const tab = tabs.find((tab) => tab.history[tab.index] === url);
+                if (tab) setActiveTab(tab.id);
+                else openTab(url);
+                openWindow("safari");
+            },
+        };
+    }
+    if (head && WINDOW_CONFIG[head] && !DOCUMENT_TYPES[head]) {
+        return { windowKey: head, open: () => openWindow(head) };
+    }
+    return null;
+};
+
+// open windows bottom to top, with their routes
+const getSnapshot = () =>
+    Object.entries(useWindowstore.getState().windows)
+        .filter(([, win]) => win.isOpen)
+        .sort(([, a], [, b]) => a.zIndex - b.zIndex)
+        .map(([windowKey]) => ({ windowKey, route: getRoute(windowKey) }));
+
+let isApplying = false;
+let hasAppliedInitialRoute = false;
+
+const syncUrl = () => {
+    if (isApplying) return;
+    const snapshot = getSnapshot();
+    const routed = snapshot.filter(({ route }) => route);
+    const hash = `#${routed[routed.length - 1]?.route ?? "/"}`;
+    const previous = window.history.state?.windows;
+    if (previous && JSON.stringify(previous) === JSON.stringify(snapshot) && window.location.hash === hash) return;
+
+    const sameWindows = previous &&
+        previous.map(({ windowKey }) => windowKey).sort().join() === snapshot.map(({ windowKey }) => windowKey).sort().join();
+    const method = !previous || sameWindows ? "replaceState" : "pushState";
+    window.history[method]({ windows: snapshot }, "", hash);
+};
+
+const applyRoute = (route) => parseRoute(route)?.open();
+
+const handlePopState = (event) => {
+    isApplying = true;
+    const entries = event.state?.windows;
+    if (entries) {
+        const { windows, closeWindow } = useWindowstore.getState();
+        const keep = new Set(entries.map(({ windowKey }) => windowKey));
+        Object.keys(windows).forEach((windowKey) => {
+            if (windows[windowKey].isOpen && !keep.has(windowKey)) closeWindow(windowKey);
+        });
+        entries.forEach(({ windowKey, route }) => {
+            if (route) applyRoute(route);
+            else useWindowstore.getState().openWindow(windowKey);
+        });
+    } else {
+        // a hash typed into the address bar
+        applyRoute(window.location.hash);
+    }
+    isApplying = false;
+    syncUrl();
+};
+
+/** Starts syncing the URL with the stores; returns a function that stops it. */
+export const startRouter = () => {
+    // StrictMode starts the router twice; the landing URL must only open once
+    if (!hasAppliedInitialRoute && window.location.hash.replace(/^#\/?/, "")) {
+        hasAppliedInitialRoute = true;
+        isApplying = true;
+        applyRoute(window.location.hash);
+        isApplying = false;
+    }
+    syncUrl();
+
+    const unsubscribers = [
+        useWindowstore.subscribe(syncUrl),
+        useLocationStore.subscribe(syncUrl),
+        useSafariStore.subscribe(syncUrl),
+        useResumeStore.subscribe(syncUrl),
+    ];
+    window.addEventListener("popstate", handlePopState);
+    return () => {
+        unsubscribers.forEach((unsubscribe) => unsubscribe());
+        window.removeEventListener("popstate", handlePopState);
+    };
+};
+
+export const useRouter = () => {
+    useEffect(() => startRouter(), []);
+};
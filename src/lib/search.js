@@ -0,0 +1,85 @@
+import { getLines, getParent, TRASH_PATH, walk } from "#lib/filesystem.js";
+
+export const SEARCH_KINDS = ["folder", "txt", "img", "url", "pdf"];
+
+export const getKind = (node) => (node.kind === "folder" ? "folder" : node.fileType);
+
+/**
+ * Matches the characters of `query` in order inside `text` (case-insensitive).
+ * Returns null when they don't all appear, otherwise the matched character
+ * indices and a score that favours consecutive runs and early matches.
+ */
+export const fuzzyMatch = (query, text = "") => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return null;
+    const haystack = text.toLowerCase();
+
+    // a plain substring always beats a scattered match
+    const start = haystack.indexOf(needle);
+    if (start !== -1) {
+        return {
+            score: 100 - start + (start === 0 ? 50 : 0),
+            indices: [...needle].map((_, i) => start + i),
+        };
+    }
+
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+        if (char === " ") continue;
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+        score += indices.length && index === indices[indices.length - 1] + 1 ? 5 : 1;
+        indices.push(index);
+        from = index + 1;
+    }
+    return { score: score - indices[0] / 10, indices };
+};
+
+const SNIPPET_RADIUS = 40;
+
+// substring match inside longer text, trimmed to a snippet around the hit
+const matchSnippet = (query, text = "") => {
+    const needle = query.trim().toLowerCase();
+    const index = text.toLowerCase().indexOf(needle);
+    if (!needle || index === -1) return null;
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + needle.length + SNIPPET_RADIUS);
+    const prefix = start > 0 ? "…" : "";
+    const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+    const offset = index - start + prefix.length;
+    return {
+        text: snippet,
+        indices: [...needle].map((_, i) => offset + i),
+    };
+};
+
+/**
+ * Searches the whole filesystem: names fuzzily, `subtitle`s and the lines
+ * of txt files by substring. `kinds` limits results to the given
+ * SEARCH_KINDS. The Trash is left out, so trashed items can only come back
+ * through Put Back, unless `inTrash` searches only the Trash instead.
+ * Results are sorted best first.
+ */
+export const searchFiles = (query, { kinds = SEARCH_KINDS, inTrash = false } = {}) => {
+    if (!query.trim()) return [];
+    return walk(inTrash ? TRASH_PATH : undefined)
+        .filter((node) => inTrash || !node.path.startsWith(`${TRASH_PATH}/`))
+        .filter((node) => kinds.includes(getKind(node)))
+        .map((node) => {
+            const name = fuzzyMatch(query, node.name);
+            const texts = node.fileType === "txt" ? getLines(node) : [node.subtitle];
+            const snippet = texts.reduce((found, text) => found ?? matchSnippet(query, text), null);
+            if (!name && !snippet) return null;
+            return {
+                node,
+                folder: getParent(node),
+                score: (name?.score ?? 0) + (snippet ? 10 : 0),
+                nameIndices: name?.indices ?? [],
+                snippet,
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+};
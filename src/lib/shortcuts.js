@@ -0,0 +1,163 @@
+import { useEffect } from "react";
+import { dockApps } from "#constants";
+import useWindowstore, { getWindowType, selectFocusedWindow } from "#store/window.js";
+import useOverlayStore from "#store/overlay.js";
+import useSelectionStore from "#store/selection.js";
+import { activateApp } from "#lib/dock.js";
+import { canPutBack, hasTrash, moveToTrash, putBack, requestEmptyTrash } from "#lib/trash.js";
+
+// Keyboard shortcuts for the whole desktop. A combo is written as
+// "Mod+Shift+K": Mod is ⌘ on macOS and Ctrl elsewhere, and the last part is
+// a KeyboardEvent `key`. Windows add their own shortcuts with a `scope`
+// (their window key); those only fire while that window is focused and win
+// over global ones with the same combo.
+//
+// Combos the browser or OS keep for themselves can't be caught reliably
+// (Ctrl+W and Ctrl+1…9 close and switch tabs, ⌘Space is macOS Spotlight),
+// so closing windows and opening Dock apps use Alt instead. Alt combos
+// match the physical key, since Option turns `key` into ∑, ¡… on macOS.
+
+export const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const shortcuts = new Map();
+
+const parseCombo = (combo) => {
+    const parts = combo.split("+");
+    const key = parts.pop().replace(/^Space$/, " ");
+    return {
+        key: key.length === 1 ? key.toLowerCase() : key,
+        mod: parts.includes("Mod"),
+        shift: parts.includes("Shift"),
+        alt: parts.includes("Alt"),
+    };
+};
+
+/**
+ * Adds a shortcut, replacing one with the same combo and scope. `run`
+ * receives `{ event, focused }` and can return false to let the key through.
+ */
+export const registerShortcut = (combo, { description, run, scope = null, group = "General" }) => {
+    shortcuts.set(`${scope ?? "*"} ${combo}`, { combo, keys: parseCombo(combo), description, run, scope, group });
+};
+
+/** Shortcuts in registration order, for the cheat sheet. */
+export const getShortcuts = () => [...shortcuts.values()];
+
+const KEY_LABELS = { " ": "Space", Backspace: "⌫", Escape: "Esc", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Enter: "↩" };
+
+/** "Mod+Shift+K" -> "⇧⌘K" on macOS, "Ctrl+Shift+K" elsewhere. */
+export const formatCombo = (combo) => {
+    const { key, mod, shift, alt } = parseCombo(combo);
+    const label = KEY_LABELS[key] ?? key.toUpperCase();
+    if (IS_MAC) return `${alt ? "⌥" : ""}${shift ? "⇧" : ""}${mod ? "⌘" : ""}${label}`;
+    return [mod && "Ctrl", alt && "Alt", shift && "Shift", label].filter(Boolean).join("+");
+};
+
+// "KeyW" -> "w", "Digit1" -> "1"
+const getCodeKey = (code = "") => (/^(Key|Digit)./.test(code) ? code.replace(/^(Key|Digit)/, "").toLowerCase() : null);
+
+const matches = ({ keys }, event) =>
+    ((event.key.length === 1 ? event.key.toLowerCase() : event.key) === keys.key ||
+        (keys.alt && getCodeKey(event.code) === keys.key)) &&
+    (event.metaKey || event.ctrlKey) === keys.mod &&
+    event.shiftKey === keys.shift &&
+    event.altKey === keys.alt;
+
+const isTyping = (target) => Boolean(target?.closest?.("input, textarea, select, [contenteditable='true']"));
+
+export const handleKeyDown = (event) => {
+    const focused = selectFocusedWindow(useWindowstore.getState());
+    const scope = focused && getWindowType(focused);
+    const shortcut = getShortcuts()
+        .filter((candidate) => (!candidate.scope || candidate.scope === scope) && matches(candidate, event))
+        .sort((a, b) => Boolean(b.scope) - Boolean(a.scope))[0];
+    if (!shortcut) return;
+    // plain keys belong to whatever is being typed into
+    if (isTyping(event.target) && !shortcut.keys.mod && shortcut.keys.key !== "Escape") return;
+    if (shortcut.run({ event, focused }) === false) return;
+    event.preventDefault();
+};
+
+/** Listens for shortcuts while the desktop is mounted. */
+export const useShortcuts = () => {
+    useEffect(() => {
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, []);
+};
+
+registerShortcut("Alt+W", {
+    group: "Windows",
+    description: "Close the focused window",
+    run: ({ focused }) => (focused ? useWindowstore.getState().closeWindow(focused) : false),
+});
+
+registerShortcut("Mod+M", {
+    group: "Windows",
+    description: "Minimize the focused window",
+    run: ({ focused }) => (focused ? useWindowstore.getState().minimizeWindow(focused) : false),
+});
+
+registerShortcut("Mod+`", {
+    group: "Windows",
+    description: "Cycle through open windows",
+    run: () => {
+        const { windows, focusWindow } = useWindowstore.getState();
+        // raising the bottom window walks the whole stack, one press at a time
+        const [bottom, ...rest] = Object.keys(windows)
+            .filter((windowId) => windows[windowId].isOpen && !windows[windowId].isMinimized)
+            .sort((a, b) => windows[a].zIndex - windows[b].zIndex);
+        if (!rest.length) return false;
+        focusWindow(bottom);
+    },
+});
+
+dockApps.filter(({ canOpen }) => canOpen).slice(0, 9).forEach(({ id, name }, index) => {
+    registerShortcut(`Alt+${index + 1}`, {
+        group: "Dock",
+        description: `Open ${name}`,
+        run: () => activateApp(id),
+    });
+});
+
+registerShortcut("Mod+,", {
+    description: "Open System Settings",
+    run: () => useWindowstore.getState().openWindow("settings"),
+});
+
+// like Finder: selected items in the Trash are put back instead
+registerShortcut("Mod+Backspace", {
+    group: "Files",
+    description: "Move the selected items to the Trash",
+    run: ({ event }) => {
+        const { paths } = useSelectionStore.getState();
+        if (!paths.length || isTyping(event.target)) return false;
+        if (paths.every(canPutBack)) return putBack(paths);
+        if (!moveToTrash(paths)) return false;
+    },
+});
+
+registerShortcut("Mod+Shift+Backspace", {
+    group: "Files",
+    description: "Empty the Trash",
+    run: () => (hasTrash() ? requestEmptyTrash() : false),
+});
+
+registerShortcut("Mod+K", {
+    description: "Spotlight search",
+    run: () => useOverlayStore.getState().toggleOverlay("spotlight"),
+});
+
+registerShortcut("Mod+/", {
+    description: "Show keyboard shortcuts",
+    run: () => useOverlayStore.getState().toggleOverlay("shortcuts"),
+});
+
+registerShortcut("Escape", {
+    description: "Dismiss overlays",
+    run: () => {
+        const { activeOverlay, closeOverlay } = useOverlayStore.getState();
+        if (!activeOverlay) return false;
+        closeOverlay();
+    },
+});
@@ -0,0 +1,56 @@
+import { useEffect } from "react";
+import useWindowstore from "#store/window.js";
+import useSettingsStore from "#store/settings.js";
+
+// Short synthesized cues for window and Trash events, played while sound
+// effects are on in the Control Center. Each is a list of [frequency Hz, seconds] notes.
+
+const SOUNDS = {
+    open: [[660, 0.06], [880, 0.08]],
+    close: [[880, 0.06], [660, 0.08]],
+    minimize: [[520, 0.1]],
+    toggle: [[1200, 0.03]],
+    trash: [[420, 0.05], [300, 0.09]],
+    empty: [[300, 0.06], [220, 0.06], [160, 0.12]],
+};
+
+// browsers only allow audio after a user gesture, so it's created on first use
+let context = null;
+
+/** Plays one of SOUNDS at the Control Center volume, if sound effects are on. */
+export const playSound = (name) => {
+    const { soundEffects, volume } = useSettingsStore.getState();
+    const notes = SOUNDS[name];
+    if (!notes || !soundEffects || !volume || typeof AudioContext === "undefined") return;
+
+    context ??= new AudioContext();
+    let start = context.currentTime;
+    notes.forEach(([frequency, seconds]) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = "sine";
+        oscillator.frequency.value = frequency;
+        // fade out so notes don't click when they stop
+        gain.gain.setValueAtTime(volume * 0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + seconds);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + seconds);
+        start += seconds;
+    });
+};
+
+/** Plays window open, close and minimize cues while the desktop is mounted. */
+export const useSoundEffects = () => {
+    useEffect(() => useWindowstore.subscribe(({ windows }, previous) => {
+        Object.entries(windows).forEach(([windowId, { isOpen, isMinimized }]) => {
+            const before = previous.windows[windowId];
+            if (isOpen && !before?.isOpen) playSound("open");
+            else if (isMinimized && !before?.isMinimized) playSound("minimize");
+        });
+        Object.keys(previous.windows).forEach((windowId) => {
+            // instances are removed outright when they close
+            if (previous.windows[windowId].isOpen && !windows[windowId]?.isOpen) playSound("close");
+        });
+    }), []);
+};
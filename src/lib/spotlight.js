@@ -0,0 +1,125 @@
+import { dockApps, profile, RESUME_URL, socials, techStack } from "#constants";
+import useWindowstore from "#store/window.js";
+import useOverlayStore from "#store/overlay.js";
+import { fuzzyMatch, searchFiles } from "#lib/search.js";
+import { downloadFile, openItem, openUrl } from "#lib/open.js";
+import { posts } from "#lib/blog.js";
+import { getHost, INTERNAL_PROTOCOL } from "#lib/browser.js";
+import { activateApp } from "#lib/dock.js";
+
+// Spotlight searches a list of sources, each turning the query into results
+// of one category. A result is {id, title, subtitle?, icon?, score, indices,
+// run}: `indices` are the matched characters of the title, `run` opens it.
+// Categories are shown in the order their sources were registered.
+
+const MAX_RESULTS_PER_CATEGORY = 5;
+
+const sources = [];
+
+export const registerSource = (category, search) => {
+    sources.push({ category, search });
+};
+
+/** Results for `query`, grouped by category and best first within each. */
+export const searchSpotlight = (query) =>
+    sources
+        .map(({ category, search }) => ({ category, results: search(query).slice(0, MAX_RESULTS_PER_CATEGORY) }))
+        .filter(({ results }) => results.length);
+
+// fuzzy-matches items on their title, falling back to `keywords` without
+// highlighting; `suggest` lists every item while the query is empty
+const rank = (query, items, { suggest = false } = {}) =>
+    items
+        .map((item) => {
+            if (!query.trim()) return suggest ? { ...item, score: 0, indices: [] } : null;
+            const match = fuzzyMatch(query, item.title) ??
+                (item.keywords && fuzzyMatch(query, item.keywords) && { score: 0, indices: [] });
+            return match && { ...item, ...match };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+
+registerSource("Applications", (query) => rank(query,
+    dockApps.filter(({ canOpen }) => canOpen).map(({ id, name, icon }) => ({
+        id: `app:${id}`,
+        title: name,
+        icon: `/images/${icon}`,
+        run: () => activateApp(id),
+    })),
+    { suggest: true },
+));
+
+registerSource("Actions", (query) => rank(query, [
+    {
+        id: "action:settings",
+        title: "System Settings",
+        keywords: "preferences appearance wallpaper accent dock accessibility",
+        run: () => useWindowstore.getState().openWindow("settings"),
+    },
+    { id: "action:resume", title: "Open Resume", run: () => useWindowstore.getState().openWindow("resume") },
+    { id: "action:download-resume", title: "Download Resume", keywords: "pdf cv", run: () => downloadFile(RESUME_URL) },
+    {
+        id: "action:copy-email",
+        title: "Copy Email",
+        keywords: profile.email,
+        // a denied clipboard write just leaves nothing copied
+        run: () => navigator.clipboard?.writeText(profile.email).catch(() => {}),
+    },
+    {
+        id: "action:shortcuts",
+        title: "Show Keyboard Shortcuts",
+        keywords: "keys hotkeys help",
+        run: () => useOverlayStore.getState().openOverlay("shortcuts"),
+    },
+    {
+        id: "action:close-all",
+        title: "Close All Windows",
+        run: () => {
+            const { windows, closeWindow } = useWindowstore.getState();
+            Object.keys(windows).filter((windowId) => windows[windowId].isOpen).forEach(closeWindow);
+        },
+    },
+], { suggest: true }));
+
+registerSource("Files & Folders", (query) =>
+    searchFiles(query).map(({ node, folder, score, nameIndices }) => ({
+        id: `file:${node.path}`,
+        title: node.name,
+        subtitle: folder?.name,
+        icon: node.icon,
+        score,
+        indices: nameIndices,
+        run: () => openItem(node),
+    })),
+);
+
+registerSource("Articles", (query) => rank(query,
+    posts.map(({ slug, title, summary, tags }) => ({
+        id: `post:${slug}`,
+        title,
+        subtitle: summary,
+        keywords: tags.join(" "),
+        run: () => openUrl(`${INTERNAL_PROTOCOL}blog/${slug}`),
+    })),
+));
+
+registerSource("Skills", (query) => rank(query,
+    techStack.flatMap(({ category, items }) => items.map((item) => ({
+        id: `skill:${item}`,
+        title: item,
+        subtitle: category,
+        keywords: category,
+        // the Skills app lists the whole stack
+        run: () => useWindowstore.getState().openWindow("terminal"),
+    }))),
+));
+
+registerSource("Links", (query) => rank(query,
+    socials.map(({ id, text, icon, link }) => ({
+        id: `social:${id}`,
+        title: text,
+        subtitle: getHost(link) || profile.email,
+        icon,
+        run: () => window.open(link, "_blank", "noopener,noreferrer"),
+    })),
+));
@@ -0,0 +1,166 @@
+import { techStack, WINDOW_CONFIG } from "#constants";
+import { basename, getLines, list, resolve, ROOT_PATH } from "#lib/filesystem.js";
+import { openItem } from "#lib/open.js";
+
+export const ROOT = resolve(ROOT_PATH);
+
+const commands = new Map();
+
+/**
+ * Adds a command to the shell. `run(args, ctx)` returns the lines to print
+ * (a string, an array of strings or nothing). `complete(partial, ctx)` is
+ * optional and returns the candidates offered on Tab for the arguments;
+ * commands taking paths can use `completePath`.
+ */
+export const registerCommand = (name, { description = "", run, complete }) => {
+    commands.set(name, { name, description, run, complete });
+};
+
+export const getCommands = () => [...commands.values()];
+
+// splits on whitespace, keeping "quoted names" together
+export const tokenize = (input) =>
+    [...input.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(([, dq, sq, word]) => dq ?? sq ?? word);
+
+/** Resolves `path` against the shell's current folder. */
+export const resolvePath = (path = "", cwd = ROOT) => resolve(path, cwd.path);
+
+// the shell shows the filesystem root as ~
+export const formatPath = (folder) => (folder.path === ROOT_PATH ? "~" : `~${folder.path}`);
+
+const displayName = (item) => {
+    const name = basename(item.path);
+    return /\s/.test(name) ? `"${name}"` : name;
+};
+
+export const completePath = (partial, { cwd }) => {
+    const slash = partial.lastIndexOf("/");
+    const dir = slash === -1 ? cwd : resolvePath(partial.slice(0, slash + 1), cwd);
+    if (!dir?.children) return [];
+    const prefix = partial.slice(0, slash + 1);
+    const rest = partial.slice(slash + 1).replace(/^"/, "").toLowerCase();
+    return list(dir)
+        .filter((item) => displayName(item).replace(/^"/, "").toLowerCase().startsWith(rest))
+        .map((item) => `${prefix}${displayName(item)}${item.kind === "folder" ? "/" : ""}`);
+};
+
+/**
+ * Completes the last word of `input`. Returns the new input when there is a
+ * single (or common) completion and the candidate list otherwise.
+ */
+export const complete = (input, ctx) => {
+    const words = input.split(" ");
+    const partial = words.pop();
+    const candidates = words.length === 0
+        ? getCommands().map(({ name }) => name).filter((name) => name.startsWith(partial))
+        : commands.get(words[0])?.complete?.(partial, ctx) ?? [];
+    if (!candidates.length) return { input, candidates };
+
+    let common = candidates[0];
+    candidates.forEach((candidate) => {
+        while (!candidate.toLowerCase().startsWith(common.toLowerCase())) common = common.slice(0, -1);
+    });
+    const single = candidates.length === 1;
+    const completed = single && !common.endsWith("/") ? `${common} ` : common;
+    return {
+        input: [...words, completed.length >= partial.length ? completed : partial].join(" "),
+        candidates: single ? [] : candidates,
+    };
+};
+
+/** Parses and runs one line of input, returning the lines to print. */
+export const runCommand = (input, ctx) => {
+    const [name, ...args] = tokenize(input.trim());
+    if (!name) return [];
+    const command = commands.get(name);
+    if (!command) return [`zsh: command not found: ${name}`];
+    const output = command.run(args, ctx);
+    if (output === undefined || output === null) return [];
+    return Array.isArray(output) ? output : [output];
+};
+
+registerCommand("help", {
+    description: "list available commands",
+    run: () => getCommands().map(({ name, description }) => `${name.padEnd(8)} ${description}`),
+});
+
+registerCommand("ls", {
+    description: "list folder contents",
+    run: ([path], { cwd }) => {
+        const target = resolvePath(path, cwd);
+        if (!target) return `ls: ${path}: No such file or directory`;
+        if (target.kind !== "folder") return displayName(target);
+        return list(target).map((item) => `${displayName(item)}${item.kind === "folder" ? "/" : ""}`).join("  ");
+    },
+    complete: completePath,
+});
+
+registerCommand("cd", {
+    description: "change folder",
+    run: ([path = "~"], { cwd, setCwd }) => {
+        const target = resolvePath(path, cwd);
+        if (!target) return `cd: no such file or directory: ${path}`;
+        if (target.kind !== "folder") return `cd: not a directory: ${path}`;
+        setCwd(target);
+    },
+    complete: completePath,
+});
+
+registerCommand("pwd", {
+    description: "print current folder",
+    run: (args, { cwd }) => formatPath(cwd),
+});
+
+registerCommand("cat", {
+    description: "print a text file",
+    run: ([path], { cwd }) => {
+        if (!path) return "usage: cat <file>";
+        const target = resolvePath(path, cwd);
+        if (!target) return `cat: ${path}: No such file or directory`;
+        if (target.kind === "folder") return `cat: ${path}: Is a directory`;
+        if (target.fileType !== "txt") return `cat: ${path}: not a text file, try open`;
+        return getLines(target);
+    },
+    complete: completePath,
+});
+
+registerCommand("open", {
+    description: "open a file, folder or app (e.g. open resume)",
+    run: ([path], ctx) => {
+        if (!path) return "usage: open <file | app>";
+        // app names win over folders of the same name (`open resume`)
+        if (WINDOW_CONFIG[path] && !WINDOW_CONFIG[path].multiInstance) {
+            ctx.openWindow(path);
+            return;
+        }
+        const target = resolvePath(path, ctx.cwd);
+        if (!target || target === ROOT) return `open: ${path}: No such file or app`;
+        openItem(target);
+    },
+    complete: (partial, ctx) => [
+        ...Object.keys(WINDOW_CONFIG).filter((key) => !WINDOW_CONFIG[key].multiInstance && key.startsWith(partial)),
+        ...completePath(partial, ctx),
+    ],
+});
+
+registerCommand("stack", {
+    description: "show my tech stack",
+    run: () => techStack.map(({ category, items }) => `✔ ${category.padEnd(12)} ${items.join(", ")}`),
+});
+
+registerCommand("history", {
+    description: "list previous commands",
+    run: (args, { history }) => history.map((line, i) => `${String(i + 1).padStart(4)}  ${line}`),
+});
+
+registerCommand("echo", {
+    description: "print arguments",
+    run: (args) => args.join(" "),
+});
+
+registerCommand("clear", {
+    description: "clear the screen",
+    run: (args, { clear }) => {
+        clear();
+    },
+});
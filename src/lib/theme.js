@@ -0,0 +1,63 @@
+import { useEffect } from "react";
+import { accentColors, wallpapers } from "#constants";
+import useThemeStore from "#store/theme.js";
+import useSettingsStore from "#store/settings.js";
+
+// Applies the appearance mode to <html data-theme>, which switches the color
+// variables in index.css. index.html does the same before the first paint,
+// so a dark session doesn't flash light while the app loads.
+
+const TRANSITION_MS = 300;
+
+const darkQuery = () => window.matchMedia("(prefers-color-scheme: dark)");
+
+/** "light" or "dark", resolving "auto" against the system setting. */
+export const resolveTheme = (mode) => (mode === "auto" ? (darkQuery().matches ? "dark" : "light") : mode);
+
+const applyTheme = (mode, { animate = false } = {}) => {
+    const root = document.documentElement;
+    const theme = resolveTheme(mode);
+    if (root.dataset.theme === theme) return;
+    if (animate) {
+        root.classList.add("theme-transition");
+        setTimeout(() => root.classList.remove("theme-transition"), TRANSITION_MS);
+    }
+    root.dataset.theme = theme;
+};
+
+/** Keeps the page's theme in step with the store and, in auto mode, the system. */
+export const useTheme = () => {
+    const mode = useThemeStore((state) => state.mode);
+
+    useEffect(() => {
+        // a no-op on load, when index.html has already set the theme
+        applyTheme(mode, { animate: true });
+        if (mode !== "auto") return;
+        const query = darkQuery();
+        const handleChange = () => applyTheme(mode, { animate: true });
+        query.addEventListener("change", handleChange);
+        return () => query.removeEventListener("change", handleChange);
+    }, [mode]);
+};
+
+/** Applies the accent color, wallpaper and text size from System Settings. */
+export const useAppearance = () => {
+    const accentColor = useSettingsStore((state) => state.accentColor);
+    const wallpaper = useSettingsStore((state) => state.wallpaper);
+    const largerText = useSettingsStore((state) => state.largerText);
+
+    useEffect(() => {
+        const { color } = accentColors.find(({ id }) => id === accentColor) ?? accentColors[0];
+        document.documentElement.style.setProperty("--color-accent", color);
+    }, [accentColor]);
+
+    useEffect(() => {
+        const { background } = wallpapers.find(({ id }) => id === wallpaper) ?? wallpapers[0];
+        document.body.style.backgroundImage = background;
+    }, [wallpaper]);
+
+    useEffect(() => {
+        // every size is in rem, so this scales the whole desktop
+        document.documentElement.classList.toggle("larger-text", largerText);
+    }, [largerText]);
+};
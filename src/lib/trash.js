@@ -0,0 +1,67 @@
+import useTrashStore from "#store/trash.js";
+import useLocationStore from "#store/Location.js";
+import useSelectionStore from "#store/selection.js";
+import useOverlayStore from "#store/overlay.js";
+import { list, resolve, ROOT_PATH, TRASH_PATH } from "#lib/filesystem.js";
+import { playSound } from "#lib/sound.js";
+
+// Moving items to the Trash, putting them back and emptying it. Paths given
+// here are where items are now; the store keeps their source paths.
+
+// Finder items carry their path under this type while being dragged
+export const FILE_DRAG_TYPE = "application/x-portfolio-path";
+
+export const isInTrash = (item) => resolve(item)?.path.startsWith(`${TRASH_PATH}/`) ?? false;
+
+/** Anything but the top-level folders and what's already in the Trash. */
+export const canTrash = (item) => {
+    const node = resolve(item);
+    return Boolean(node) && node.parentPath !== null && node.parentPath !== ROOT_PATH && !isInTrash(node);
+};
+
+/** Items in the Trash that know where they came from. */
+export const canPutBack = (item) => Boolean(resolve(item)?.originalPath);
+
+export const hasTrash = () => list(TRASH_PATH).length > 0;
+
+// Finder shouldn't be left inside a folder that just moved; `moved` are the
+// paths of folders that went to the Trash
+const leaveMovedFolders = (moved = []) => {
+    const { activeLocation, setActiveLocation, resetActiveLocation } = useLocationStore.getState();
+    if (resolve(activeLocation.path)) return;
+    const isInside = moved.some((path) => activeLocation.path === path || activeLocation.path.startsWith(`${path}/`));
+    if (isInside) setActiveLocation(resolve(TRASH_PATH));
+    else resetActiveLocation();
+};
+
+/** Moves the given items to the Trash; returns how many moved. */
+export const moveToTrash = (items) => {
+    const nodes = items.map((item) => resolve(item)).filter(canTrash);
+    if (!nodes.length) return 0;
+    const { trash } = useTrashStore.getState();
+    nodes.forEach(({ sourcePath }) => trash(sourcePath));
+    useSelectionStore.getState().clearSelection();
+    leaveMovedFolders(nodes.map(({ path }) => path));
+    playSound("trash");
+    return nodes.length;
+};
+
+export const putBack = (items) => {
+    const { putBack: restore } = useTrashStore.getState();
+    items.map((item) => resolve(item)).filter(canPutBack).forEach(({ originalPath }) => restore(originalPath));
+    useSelectionStore.getState().clearSelection();
+};
+
+/** Asks for confirmation first, like Finder's Empty Trash… */
+export const requestEmptyTrash = () => {
+    if (hasTrash()) useOverlayStore.getState().openOverlay("empty-trash");
+};
+
+export const emptyTrash = () => {
+    // authored items that were in the Trash from the start go too
+    const authored = list(TRASH_PATH).filter((node) => !node.originalPath).map((node) => node.sourcePath);
+    useTrashStore.getState().empty(authored);
+    useSelectionStore.getState().clearSelection();
+    leaveMovedFolders();
+    playSound("empty");
+};
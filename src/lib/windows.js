@@ -0,0 +1,42 @@
+import gsap from "gsap";
+import useWindowstore from "#store/window.js";
+import useSettingsStore from "#store/settings.js";
+
+// Helpers for window sections in the DOM, shared by the traffic lights,
+// the menu bar and shortcuts.
+
+export const WINDOW_GAP = 8;
+
+/**
+ * The screen between the menu bar and the dock, which maximized windows fill
+ * and desktop icons are laid out in; an auto-hidden dock takes no room.
+ */
+export const getDesktopBounds = () => {
+    const { dockPosition, dockAutoHide } = useSettingsStore.getState();
+    const navBottom = document.querySelector("nav")?.getBoundingClientRect().bottom ?? 0;
+    const dock = dockAutoHide ? null : document.querySelector("#dock")?.getBoundingClientRect();
+    const left = dock && dockPosition === "left" ? dock.right : 0;
+    const right = dock && dockPosition === "right" ? dock.left : window.innerWidth;
+    const bottom = dock && dockPosition === "bottom" ? dock.top : window.innerHeight;
+    return {
+        top: navBottom + WINDOW_GAP,
+        left: left + WINDOW_GAP,
+        width: right - left - WINDOW_GAP * 2,
+        height: bottom - navBottom - WINDOW_GAP * 2,
+    };
+};
+
+/** Where a window is and how big, as the wrapper tracks it ({x, y, width, height}). */
+export const getWindowGeometry = (windowId) => {
+    const el = document.getElementById(windowId);
+    if (!el) return null;
+    const { width, height } = el.getBoundingClientRect();
+    return { x: gsap.getProperty(el, "x"), y: gsap.getProperty(el, "y"), width, height };
+};
+
+/** Maximizes a window, or puts a maximized one back where it was. */
+export const zoomWindow = (windowId) => {
+    const geometry = getWindowGeometry(windowId);
+    if (!geometry) return;
+    useWindowstore.getState().toggleMaximize(windowId, geometry);
+};
@@ -1,20 +1,75 @@
-import { locations } from "#constants";
+import { getParent, resolve } from "#lib/filesystem.js";
 import { create } from "zustand";
+import { persist } from "zustand/middleware";
 import { immer } from "zustand/middleware/immer";
+import { fromNodeRef, sessionOptions, toNodeRef } from "#store/session.js";
+// restored first, so saved locations can be visitors' folders or in the Trash
+import "#store/files.js";
+import "#store/trash.js";
 
 
-const DEFAULT_LOCATION = locations.work
+const DEFAULT_LOCATION = resolve("/work")
 
+export const DEFAULT_FOLDER_VIEW = {view:"icons",sortBy:"none"};
 
-const useLocationStore = create(immer((set)=>({
+// moves to `location`, dropping any forward history like a browser does
+const navigate = (state,location)=>{
+    if(!location || location.path === state.activeLocation?.path) return;
+    state.history = [...state.history.slice(0,state.historyIndex+1),location];
+    state.historyIndex = state.history.length-1;
+    state.activeLocation = location;
+}
+
+const useLocationStore = create(persist(immer((set)=>({
     activeLocation:DEFAULT_LOCATION,
+    history:[DEFAULT_LOCATION],
+    historyIndex:0,
+    // Finder view mode and sort order, remembered per folder path
+    folderViews:{},
     
     setActiveLocation:(location)=>set((state)=>{
         if(location === undefined) return;
-        state.activeLocation = location;
+        navigate(state,location);
     }),
     resetActiveLocation:()=>set((state)=>{
-        state.activeLocation=DEFAULT_LOCATION
+        navigate(state,DEFAULT_LOCATION);
+    }),
+    goBack:()=>set((state)=>{
+        if(state.historyIndex === 0) return;
+        state.historyIndex--;
+        state.activeLocation = state.history[state.historyIndex];
+    }),
+    goForward:()=>set((state)=>{
+        if(state.historyIndex >= state.history.length-1) return;
+        state.historyIndex++;
+        state.activeLocation = state.history[state.historyIndex];
+    }),
+    goToParent:()=>set((state)=>{
+        navigate(state,getParent(state.activeLocation));
+    }),
+    // follows a folder that was renamed from `from` to `to`
+    relocate:(from,to)=>set((state)=>{
+        const move = (location)=>{
+            if(location.path !== from && !location.path.startsWith(`${from}/`)) return location;
+            return resolve(to + location.path.slice(from.length)) ?? location;
+        }
+        state.activeLocation = move(state.activeLocation);
+        state.history = state.history.map(move);
+    }),
+    setFolderView:(path,patch)=>set((state)=>{
+        state.folderViews[path] = {...DEFAULT_FOLDER_VIEW,...state.folderViews[path],...patch};
     }),
+})),sessionOptions("location",{
+    partialize:({activeLocation,folderViews})=>({activeLocation:toNodeRef(activeLocation),folderViews}),
+    restore:(persisted,current)=>{
+        const activeLocation = fromNodeRef(persisted.activeLocation) ?? current.activeLocation;
+        return {
+            ...current,
+            activeLocation,
+            history:[activeLocation],
+            historyIndex:0,
+            folderViews:persisted.folderViews ?? {},
+        };
+    },
 })))
  export default useLocationStore;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { sessionOptions } from "#store/session.js";
+
+export const EMPTY_DRAFT = { name: "", email: "", subject: "", message: "" };
+
+const SENT_HISTORY = 10;
+
+// The Contact form's draft, saved as it is typed so closing the window or
+// reloading doesn't lose it, and when messages were sent, for rate limiting.
+const useContactStore = create(persist(immer((set)=>({
+    draft:{...EMPTY_DRAFT},
+    // timestamps (ms) of successful submissions, oldest first
+    sentAt:[],
+
+    updateDraft:(field,value)=>set((state)=>{
+        if(!(field in EMPTY_DRAFT)) return;
+        state.draft[field] = value;
+    }),
+    clearDraft:()=>set((state)=>{
+        state.draft = {...EMPTY_DRAFT};
+    }),
+    // only the latest few matter to the rate limit
+    recordSent:(time)=>set((state)=>{
+        state.sentAt = [...state.sentAt,time].slice(-SENT_HISTORY);
+    }),
+})),sessionOptions("contact",{
+    partialize:({draft,sentAt})=>({draft,sentAt}),
+    restore:(persisted,current)=>({
+        ...current,
+        draft:Object.fromEntries(Object.keys(EMPTY_DRAFT).map((field)=>
+            [field,typeof persisted.draft?.[field] === "string" ? persisted.draft[field] : ""])),
+        sentAt:Array.isArray(persisted.sentAt) ? persisted.sentAt.filter(Number.isFinite) : [],
+    }),
+})))
+
+export default useContactStore;
@@ -0,0 +1,24 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { sessionOptions } from "#store/session.js";
+
+const isCell = (cell)=>Number.isInteger(cell?.col) && Number.isInteger(cell?.row) && cell.col >= 0 && cell.row >= 0;
+
+// Where desktop icons sit on the grid, as {col, row} by filesystem path.
+// Icons without a saved cell take the first free one, see #lib/desktop.js.
+const useDesktopStore = create(persist(immer((set)=>({
+    positions:{},
+
+    setPositions:(positions)=>set((state)=>{
+        state.positions = positions;
+    }),
+})),sessionOptions("desktop",{
+    partialize:({positions})=>({positions}),
+    restore:(persisted,current)=>({
+        ...current,
+        positions:Object.fromEntries(Object.entries(persisted.positions ?? {}).filter(([,cell])=>isCell(cell))),
+    }),
+})))
+
+export default useDesktopStore;
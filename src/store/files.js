@@ -0,0 +1,44 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { sessionOptions } from "#store/session.js";
+import { applyOverlay, joinPath } from "#lib/filesystem.js";
+
+const isCreatedItem = (item)=>typeof item?.parentPath === "string" && typeof item.name === "string" &&
+    ["folder","file"].includes(item.kind) && ["undefined","string"].includes(typeof item.content);
+
+/** The source path of a created item, see #lib/filesystem.js. */
+export const getSourcePath = (item)=>joinPath(item.parentPath,item.name);
+
+// The folders and notes visitors create, with what they write in them, and
+// the names they give items, by source path (see #lib/filesystem.js). Like
+// the Trash, only these changes are saved, never the authored content.
+const useFilesStore = create(persist(immer((set)=>({
+    created:[],
+    renamed:{},
+
+    create:(item)=>set((state)=>{
+        state.created.push(item);
+    }),
+    rename:(sourcePath,name)=>set((state)=>{
+        state.renamed[sourcePath] = name;
+    }),
+    // e.g. the text of a note; only created items can change
+    update:(sourcePath,changes)=>set((state)=>{
+        const item = state.created.find((created)=>getSourcePath(created) === sourcePath);
+        if(item) Object.assign(item,changes);
+    }),
+})),sessionOptions("files",{
+    partialize:({created,renamed})=>({created,renamed}),
+    restore:(persisted,current)=>({
+        ...current,
+        created:Array.isArray(persisted.created) ? persisted.created.filter(isCreatedItem) : [],
+        renamed:Object.fromEntries(Object.entries(persisted.renamed ?? {}).filter(([,name])=>typeof name === "string" && name)),
+    }),
+})))
+
+const applyFiles = ({created,renamed})=>applyOverlay({created,renamed});
+applyFiles(useFilesStore.getState());
+useFilesStore.subscribe(applyFiles);
+
+export default useFilesStore;
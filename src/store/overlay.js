@@ -0,0 +1,25 @@
+import { create } from "zustand";
+import { immer } from "zustand/middleware/immer";
+
+// UI floating above the windows (cheat sheet, palettes, menus). Only one is
+// shown at a time, and Esc dismisses it. `overlayData` is whatever the
+// overlay was opened with, like the item a context menu is for.
+const useOverlayStore = create(immer((set)=>({
+    activeOverlay:null,
+    overlayData:null,
+
+    openOverlay:(name,data = null)=>set((state)=>{
+        state.activeOverlay = name;
+        state.overlayData = data;
+    }),
+    closeOverlay:()=>set((state)=>{
+        state.activeOverlay = null;
+        state.overlayData = null;
+    }),
+    toggleOverlay:(name)=>set((state)=>{
+        state.activeOverlay = state.activeOverlay === name ? null : name;
+        state.overlayData = null;
+    }),
+})))
+
+export default useOverlayStore;
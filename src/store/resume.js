@@ -0,0 +1,23 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { sessionOptions } from "#store/session.js";
+
+// The resume page last asked for, e.g. by #/resume?page=2. Kept apart from
+// the window's `data`, which holds the pdf's filesystem node when it's
+// opened from Finder and is saved as just its path.
+const useResumeStore = create(persist(immer((set)=>({
+    page:1,
+
+    setPage:(page)=>set((state)=>{
+        state.page = page;
+    }),
+})),sessionOptions("resume",{
+    partialize:({page})=>({page}),
+    restore:(persisted,current)=>({
+        ...current,
+        page:Number.isInteger(persisted.page) && persisted.page > 0 ? persisted.page : 1,
+    }),
+})))
+
+export default useResumeStore;
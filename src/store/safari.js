@@ -0,0 +1,54 @@
+import { HOME_URL } from "#lib/browser.js";
+import { create } from "zustand";
+import { immer } from "zustand/middleware/immer";
+
+let nextTabId = 1;
+
+// every tab keeps its own back/forward history
+const createTab = (url = HOME_URL)=>({id:nextTabId++,history:[url],index:0});
+
+const getActiveTab = (state)=>state.tabs.find((tab)=>tab.id === state.activeTabId);
+
+const INITIAL_TAB = createTab();
+
+const useSafariStore = create(immer((set)=>({
+    tabs:[INITIAL_TAB],
+    activeTabId:INITIAL_TAB.id,
+
+    openTab:(url = HOME_URL)=>set((state)=>{
+        const tab = createTab(url);
+        state.tabs.push(tab);
+        state.activeTabId = tab.id;
+    }),
+    closeTab:(tabId)=>set((state)=>{
+        const index = state.tabs.findIndex((tab)=>tab.id === tabId);
+        if(index === -1) return;
+        state.tabs.splice(index,1);
+        if(!state.tabs.length) state.tabs.push(createTab());
+        if(state.activeTabId === tabId){
+            state.activeTabId = state.tabs[Math.min(index,state.tabs.length-1)].id;
+        }
+    }),
+    setActiveTab:(tabId)=>set((state)=>{
+        if(!state.tabs.some((tab)=>tab.id === tabId)) return;
+        state.activeTabId = tabId;
+    }),
+    navigate:(url)=>set((state)=>{
+        const tab = getActiveTab(state);
+        if(!tab || tab.history[tab.index] === url) return;
+        tab.history = [...tab.history.slice(0,tab.index+1),url];
+        tab.index = tab.history.length-1;
+    }),
+    goBack:()=>set((state)=>{
+        const tab = getActiveTab(state);
+        if(tab && tab.index > 0) tab.index--;
+    }),
+    goForward:()=>set((state)=>{
+        const tab = getActiveTab(state);
+        if(tab && tab.index < tab.history.length-1) tab.index++;
+    }),
+})))
+
+export const selectActiveTab = getActiveTab;
+
+export default useSafariStore;
@@ -0,0 +1,35 @@
+import { create } from "zustand";
+import { immer } from "zustand/middleware/immer";
+
+// The selected items, by path, and where they were selected ("desktop" or
+// "finder"). There's one selection at a time, like on macOS, so selecting in
+// one place clears the other; file commands act on it. `renamingPath` is
+// the item whose name is being edited, which is always selected.
+const useSelectionStore = create(immer((set)=>({
+    scope:null,
+    paths:[],
+    renamingPath:null,
+
+    select:(scope,paths)=>set((state)=>{
+        state.scope = scope;
+        state.paths = paths;
+        state.renamingPath = null;
+    }),
+    // only clears `scope`'s selection, if given
+    clearSelection:(scope = null)=>set((state)=>{
+        if(scope && state.scope !== scope) return;
+        state.scope = null;
+        state.paths = [];
+        state.renamingPath = null;
+    }),
+    startRename:(scope,path)=>set((state)=>{
+        state.scope = scope;
+        state.paths = [path];
+        state.renamingPath = path;
+    }),
+    stopRename:()=>set((state)=>{
+        state.renamingPath = null;
+    }),
+})))
+
+export default useSelectionStore;
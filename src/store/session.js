@@ -0,0 +1,30 @@
+import { resolve } from "#lib/filesystem.js";
+import { createJSONStorage } from "zustand/middleware";
+
+// Each store has its own session `version`, so a layout change can't throw
+// away what visitors wrote. Bump a store's whenever its persisted shape
+// changes (e.g. the windows store's when WINDOW_CONFIG gains or renames
+// fields); its sessions saved under another version are dropped instead of
+// being merged into a state they no longer fit. Stores start at 2, the
+// version they all shared before.
+const INITIAL_VERSION = 2;
+
+// filesystem nodes are saved as {path} references and resolved again on
+// restore, so a restored session always points at the live nodes
+export const toNodeRef = (item) =>
+    item?.path ? { path: item.path } : item;
+
+export const fromNodeRef = (item) =>
+    item?.path && Object.keys(item).length === 1 ? resolve(item.path) : item;
+
+// Options for zustand's `persist` middleware. A store opts into the desktop
+// session by wrapping its creator with `persist(..., sessionOptions(...))`;
+// `partialize` picks what gets saved and `restore` merges it back.
+export const sessionOptions = (name, { version = INITIAL_VERSION, partialize, restore }) => ({
+    name: `portfolio-session:${name}`,
+    version,
+    storage: createJSONStorage(() => localStorage),
+    partialize,
+    migrate: () => undefined,
+    merge: (persisted, current) => (persisted ? restore(persisted, current) : current),
+});
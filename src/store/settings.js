@@ -0,0 +1,85 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { accentColors, wallpapers } from "#constants";
+import { sessionOptions } from "#store/session.js";
+
+// Desktop preferences from the Control Center and System Settings.
+// Appearance mode (light/dark/auto) lives in #store/theme.js.
+export const DEFAULT_SETTINGS = {
+    accentColor: "blue",
+    wallpaper: "default",
+    // dock icon size in px
+    dockSize: 56,
+    dockMagnification: true,
+    // how much larger the icon under the pointer grows, 0 to 1
+    dockMagnificationScale: 0.25,
+    dockPosition: "bottom",
+    dockAutoHide: false,
+    minimizeEffect: "genie",
+    // skip window, dock and text animations
+    reducedMotion: Boolean(typeof window !== "undefined" && window.matchMedia?.("(prefers-reduced-motion: reduce)").matches),
+    largerText: false,
+    soundEffects: false,
+    // 0 to 1
+    volume: 0.5,
+};
+
+// allowed values for the settings that aren't booleans
+export const SETTING_CHOICES = {
+    accentColor: accentColors.map(({id})=>id),
+    wallpaper: wallpapers.map(({id})=>id),
+    dockPosition: ["left","bottom","right"],
+    minimizeEffect: ["genie","scale"],
+};
+
+export const SETTING_RANGES = {
+    dockSize: {min:32,max:96},
+    dockMagnificationScale: {min:0,max:1},
+    volume: {min:0,max:1},
+};
+
+const isValid = (key,value)=>{
+    if(!(key in DEFAULT_SETTINGS) || typeof value !== typeof DEFAULT_SETTINGS[key]) return false;
+    if(SETTING_CHOICES[key]) return SETTING_CHOICES[key].includes(value);
+    if(SETTING_RANGES[key]) return Number.isFinite(value);
+    return true;
+}
+
+const clampSetting = (key,value)=>{
+    const range = SETTING_RANGES[key];
+    return range ? Math.min(Math.max(value,range.min),range.max) : value;
+}
+
+const useSettingsStore = create(persist(immer((set)=>({
+    ...DEFAULT_SETTINGS,
+
+    // ranged settings are clamped, anything else invalid is ignored
+    setSetting:(key,value)=>set((state)=>{
+        if(SETTING_RANGES[key]) value = Number(value);
+        if(!isValid(key,value)) return;
+        state[key] = clampSetting(key,value);
+    }),
+    toggleSetting:(key)=>set((state)=>{
+        if(typeof DEFAULT_SETTINGS[key] !== "boolean") return;
+        state[key] = !state[key];
+    }),
+    setVolume:(volume)=>set((state)=>{
+        state.volume = clampSetting("volume",Number(volume) || 0);
+    }),
+    resetSettings:()=>set(()=>({...DEFAULT_SETTINGS})),
+})),sessionOptions("settings",{
+    partialize:(state)=>Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map((key)=>[key,state[key]])),
+    // only known keys with valid values are taken from a saved session
+    restore:(persisted,current)=>({
+        ...current,
+        ...Object.fromEntries(Object.entries(persisted)
+            .filter(([key,value])=>isValid(key,value))
+            .map(([key,value])=>[key,clampSetting(key,value)])),
+    }),
+})))
+
+/** Seconds for an animation, or 0 while reduced motion is on. */
+export const motionDuration = (seconds)=>useSettingsStore.getState().reducedMotion ? 0 : seconds;
+
+export default useSettingsStore;
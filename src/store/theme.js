@@ -0,0 +1,28 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { sessionOptions } from "#store/session.js";
+
+// "auto" follows the system's prefers-color-scheme
+export const THEME_MODES = ["light","dark","auto"];
+
+const useThemeStore = create(persist(immer((set)=>({
+    mode:"auto",
+
+    setMode:(mode)=>set((state)=>{
+        if(!THEME_MODES.includes(mode)) return;
+        state.mode = mode;
+    }),
+    // light -> dark -> auto, for the menu bar toggle
+    cycleMode:()=>set((state)=>{
+        state.mode = THEME_MODES[(THEME_MODES.indexOf(state.mode) + 1) % THEME_MODES.length];
+    }),
+})),sessionOptions("theme",{
+    partialize:({mode})=>({mode}),
+    restore:(persisted,current)=>({
+        ...current,
+        mode:THEME_MODES.includes(persisted.mode) ? persisted.mode : current.mode,
+    }),
+})))
+
+export default useThemeStore;
@@ -0,0 +1,40 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import { sessionOptions } from "#store/session.js";
+import { applyOverlay } from "#lib/filesystem.js";
+
+// What visitors have thrown away, by source path (see #lib/filesystem.js):
+// `trashed` items sit in the Trash (oldest first) and `deleted` ones are
+// gone after emptying it. Only these lists are saved, so the authored
+// content always comes back intact when the browser's storage is cleared.
+const useTrashStore = create(persist(immer((set)=>({
+    trashed:[],
+    deleted:[],
+
+    trash:(path)=>set((state)=>{
+        if(state.trashed.includes(path) || state.deleted.includes(path)) return;
+        state.trashed.push(path);
+    }),
+    putBack:(path)=>set((state)=>{
+        state.trashed = state.trashed.filter((trashedPath)=>trashedPath !== path);
+    }),
+    // `paths` are the authored items that were in the Trash to begin with
+    empty:(paths = [])=>set((state)=>{
+        state.deleted = [...new Set([...state.deleted,...state.trashed,...paths])];
+        state.trashed = [];
+    }),
+})),sessionOptions("trash",{
+    partialize:({trashed,deleted})=>({trashed,deleted}),
+    restore:(persisted,current)=>({
+        ...current,
+        trashed:Array.isArray(persisted.trashed) ? persisted.trashed.filter((path)=>typeof path === "string") : [],
+        deleted:Array.isArray(persisted.deleted) ? persisted.deleted.filter((path)=>typeof path === "string") : [],
+    }),
+})))
+
+const applyTrash = ({trashed,deleted})=>applyOverlay({trashed,deleted});
+applyTrash(useTrashStore.getState());
+useTrashStore.subscribe(applyTrash);
+
+export default useTrashStore;
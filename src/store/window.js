@@ -1,37 +1,172 @@
 
 import { WINDOW_CONFIG ,INITIAL_Z_INDEX} from "#constants";
 import {create} from "zustand";
+import {persist} from "zustand/middleware";
 import {immer} from "zustand/middleware/immer"
+import { fromNodeRef, sessionOptions, toNodeRef } from "#store/session.js";
+import { resolveSource } from "#lib/filesystem.js";
+// restored first, so documents visitors created or trashed can reopen
+import useFilesStore from "#store/files.js";
+import useTrashStore from "#store/trash.js";
 
+// staggers document windows so a new one doesn't hide the last
+const CASCADE_OFFSET = 28;
 
-const useWindowstore = create(immer((set)=>({
+// "txtfile:/about/about-me.txt" -> "txtfile"
+export const getWindowType = (windowId)=>windowId.split(":")[0];
+
+const isMultiInstance = (windowKey)=>Boolean(WINDOW_CONFIG[windowKey]?.multiInstance);
+
+/** The id of the window a document opens in; one window per document. */
+export const getInstanceId = (windowKey,data)=>
+    `${windowKey}:${data?.id ?? data?.path ?? data?.imageUrl ?? data?.name}`;
+
+const createInstance = (windows,windowKey)=>{
+    const siblings = Object.keys(windows).filter((windowId)=>windowId !== windowKey && getWindowType(windowId) === windowKey);
+    const offset = siblings.length * CASCADE_OFFSET;
+    return {...WINDOW_CONFIG[windowKey],position:{x:offset,y:offset}};
+}
+
+const restoreWindows = (persisted,current)=>{
+    const windows = {...current.windows};
+    // only windows that still exist in WINDOW_CONFIG are restored
+    Object.entries(persisted.windows ?? {}).forEach(([windowKey,saved])=>{
+        const data = fromNodeRef(saved.data) ?? null;
+        if(!windows[windowKey]){
+            // document windows come back only if their document still does
+            const template = WINDOW_CONFIG[getWindowType(windowKey)];
+            if(!template?.multiInstance || !data) return;
+            windows[windowKey] = template;
+        }
+        windows[windowKey] = {
+            ...windows[windowKey],
+            isOpen: Boolean(saved.isOpen),
+            zIndex: saved.zIndex ?? INITIAL_Z_INDEX,
+            position: saved.position ?? null,
+            size: saved.size ?? null,
+            data,
+        };
+    });
+    const topZIndex = Math.max(INITIAL_Z_INDEX,...Object.values(windows).map((win)=>win.zIndex));
+    return {...current,windows,nextZIndex:topZIndex+1};
+}
+
+const useWindowstore = create(persist(immer((set)=>({
     windows: WINDOW_CONFIG,
     nextZIndex:INITIAL_Z_INDEX+1,
 
     openWindow:(windowKey,data = null)=>set((state)=>{
+        if(isMultiInstance(windowKey)){
+            // reopening a document focuses its window instead of duplicating it
+            if(!data) return;
+            const windowId = getInstanceId(windowKey,data);
+            state.windows[windowId] ??= createInstance(state.windows,windowKey);
+            windowKey = windowId;
+        }
         const win = state.windows[windowKey]
         if(!win) return;
         win.isOpen = true;
+        win.isMinimized = false;
         win.zIndex = state.nextZIndex;
         win.data = data ?? win.data;
-        state.nextZindex++;
+        state.nextZIndex++;
 
 
     }),
     closeWindow:(windowKey)=>set((state)=>{
         const win = state.windows[windowKey]
         if(!win) return;
+        if(windowKey !== getWindowType(windowKey)){
+            delete state.windows[windowKey];
+            return;
+        }
         win.isOpen = false;
+        win.isMinimized = false;
+        win.isMaximized = false;
+        win.prevGeometry = null;
         win.zIndex = INITIAL_Z_INDEX;
         win.data =null;
     }),
+    minimizeWindow:(windowKey)=>set((state)=>{
+        const win = state.windows[windowKey]
+        if(!win || !win.isOpen) return;
+        win.isMinimized = true;
+    }),
+    restoreWindow:(windowKey)=>set((state)=>{
+        const win = state.windows[windowKey]
+        if(!win || !win.isOpen) return;
+        win.isMinimized = false;
+        win.zIndex = state.nextZIndex++;
+    }),
+    // geometry is the {x,y,width,height} the window had before maximizing;
+    // it is kept after un-maximizing so the wrapper can animate back to it
+    toggleMaximize:(windowKey,geometry = null)=>set((state)=>{
+        const win = state.windows[windowKey]
+        if(!win || !win.isOpen) return;
+        if(win.isMaximized){
+            win.isMaximized = false;
+            return;
+        }
+        win.isMaximized = true;
+        win.prevGeometry = geometry;
+        win.zIndex = state.nextZIndex++;
+    }),
     focusWindow:(windowKey)=>set((state)=>{
-        const win = state.windows[windowkey]
+        const win = state.windows[windowKey]
         if(!win) return;
         win.zIndex = state.nextZIndex++;
         
-    })
+    }),
+    // document windows move with their file when it's renamed, trashed or put back
+    followDocuments:()=>set((state)=>{
+        Object.entries(state.windows).forEach(([windowKey,win])=>{
+            const node = win.data?.sourcePath && resolveSource(win.data.sourcePath);
+            if(!node || node.path === win.data.path) return;
+            win.data = node;
+            if(!isMultiInstance(getWindowType(windowKey))) return;
+            const windowId = getInstanceId(getWindowType(windowKey),node);
+            if(state.windows[windowId]) return;
+            state.windows[windowId] = win;
+            delete state.windows[windowKey];
+        });
+    }),
+    setWindowData:(windowKey,data)=>set((state)=>{
+        const win = state.windows[windowKey]
+        if(!win) return;
+        win.data = data;
+    }),
+    setWindowPosition:(windowKey,position)=>set((state)=>{
+        const win = state.windows[windowKey]
+        if(!win) return;
+        win.position = position;
+    }),
+    setWindowSize:(windowKey,size)=>set((state)=>{
+        const win = state.windows[windowKey]
+        if(!win) return;
+        win.size = size;
+    }),
 
+})),sessionOptions("windows",{
+    partialize:({windows})=>({
+        windows:Object.fromEntries(Object.entries(windows).map(([windowKey,{isOpen,zIndex,position,size,data}])=>
+            [windowKey,{isOpen,zIndex,position,size,data:toNodeRef(data)}])),
+    }),
+    restore:restoreWindows,
 })))
 
+// the open, visible window on top of the stack, or null
+export const selectFocusedWindow = (state)=>{
+    let focused = null;
+    Object.entries(state.windows).forEach(([windowKey,win])=>{
+        if(!win.isOpen || win.isMinimized) return;
+        if(!focused || win.zIndex > state.windows[focused].zIndex) focused = windowKey;
+    });
+    return focused;
+}
+
+// after the filesystem, which follows these stores too
+const followDocuments = ()=>useWindowstore.getState().followDocuments();
+useFilesStore.subscribe(followDocuments);
+useTrashStore.subscribe(followDocuments);
+
 export default useWindowstore;
\ No newline at end of file
@@ -1,19 +1,124 @@
-import { socials } from "#constants";
+import { useState } from "react";
+import clsx from "clsx";
+import { CircleAlert, CircleCheck, Info, Send } from "lucide-react";
+import { profile, socials } from "#constants";
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
 import { WindowControls } from "#components";
+import useContactStore from "#store/contact.js";
+import { getContactAdapter, LIMITS, submitMessage } from "#lib/contact.js";
+
+const FIELDS = [
+    {id:"name",label:"Name",type:"text",autoComplete:"name"},
+    {id:"email",label:"Email",type:"email",autoComplete:"email"},
+    {id:"subject",label:"Subject",type:"text",autoComplete:"off"},
+];
+
+const ContactForm = ()=>{
+    const {draft,updateDraft} = useContactStore();
+    const [website,setWebsite] = useState("");
+    const [errors,setErrors] = useState({});
+    // idle, sending, sent, handed-off or failed, with the text to show for the last three
+    const [status,setStatus] = useState({state:"idle"});
+    const isSending = status.state === "sending";
+
+    const handleChange = (field,value)=>{
+        updateDraft(field,value);
+        if(!errors[field]) return;
+        setErrors((prev)=>{
+            const next = {...prev};
+            delete next[field];
+            return next;
+        });
+    }
+
+    const handleSubmit = async (e)=>{
+        e.preventDefault();
+        setStatus({state:"sending"});
+        try {
+            const result = await submitMessage({...draft,website});
+            setErrors(result.errors ?? {});
+            if(result.errors) setStatus({state:"idle"});
+            else setStatus({state:result.handedOff ? "handed-off" : "sent",text:result.confirmation});
+        } catch (error) {
+            setStatus({state:"failed",text:error.message});
+        }
+    }
+
+    if(status.state === "sent") return (
+        <div className="contact-status sent" role="status">
+            <CircleCheck size={28}/>
+            <p>{status.text}</p>
+            <button type="button" onClick={()=>setStatus({state:"idle"})}>Write another message</button>
+        </div>
+    )
+
+    const fieldProps = (id)=>({
+        id:`contact-${id}`,
+        name:id,
+        value:draft[id],
+        maxLength:LIMITS[id],
+        disabled:isSending,
+        "aria-invalid":Boolean(errors[id]),
+        "aria-describedby":errors[id] ? `contact-${id}-error` : undefined,
+        onChange:(e)=>handleChange(id,e.target.value),
+    });
+
+    return (
+        <form className="contact-form" noValidate onSubmit={handleSubmit}>
+            {FIELDS.map(({id,label,type,autoComplete})=>(
+                <div key={id} className={clsx("field",errors[id] && "invalid")}>
+                    <label htmlFor={`contact-${id}`}>{label}</label>
+                    <input type={type} autoComplete={autoComplete} {...fieldProps(id)}/>
+                    {errors[id] && <p id={`contact-${id}-error`} className="error">{errors[id]}</p>}
+                </div>
+            ))}
+            <div className={clsx("field",errors.message && "invalid")}>
+                <label htmlFor="contact-message">Message</label>
+                <textarea rows={5} {...fieldProps("message")}/>
+                {errors.message && <p id="contact-message-error" className="error">{errors.message}</p>}
+            </div>
+            {/* honeypot: hidden from people, so only bots fill it in */}
+            <div className="honeypot" aria-hidden="true">
+                <label htmlFor="contact-website">Website</label>
+                <input id="contact-website" name="website" type="text" tabIndex={-1} autoComplete="off"
+                value={website} onChange={(e)=>setWebsite(e.target.value)}/>
+            </div>
+            {status.state === "handed-off" && (
+                <p className="contact-status handed-off" role="status">
+                    <Info size={16}/>
+                    {status.text}
+                </p>
+            )}
+            {status.state === "failed" && (
+                <p className="contact-status failed" role="alert">
+                    <CircleAlert size={16}/>
+                    {status.text}
+                </p>
+            )}
+            <div className="actions">
+                <p>Drafts are saved as you type · Sends via {getContactAdapter().label}</p>
+                <button type="submit" disabled={isSending}>
+                    <Send size={14}/>
+                    {isSending ? "Sending…" : "Send"}
+                </button>
+            </div>
+        </form>
+    )
+}
+
 const Contact = ()=>{
     return (
         <>
-        
+
         <div id="window-header">
             <WindowControls target="contact"/>
             <h2>Contact Me</h2>
         </div>
         <div className="p-5 space-y-5">
-            <img src="/images/jsiddharth.jpg" alt="Jaiker Siddharth" className="w-32 rounded-full "/>
+            <img src={profile.photo} alt={profile.name} className="w-32 rounded-full "/>
             <h3>Let's Connect</h3>
             <p>Got an idea or just want to say hi? Feel free to reach out!</p>
-            <p>jaikersiddharth@gmail.com</p>
+            <p>{profile.email}</p>
             <ul>
                 {socials.map(({id,bg,link,icon,text})=>(
                     <li key={id} style={{backgroundColor: bg} }>
@@ -24,9 +129,10 @@ const Contact = ()=>{
                     </li>
                 ))}
             </ul>
+            <ContactForm/>
         </div>
         </>
     )
 }
 const ContactWithWrapper = WindowWrapper(Contact,'contact');
-export default ContactWithWrapper;
\ No newline at end of file
+export default ContactWithWrapper;
@@ -1,65 +1,381 @@
-
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
 import WindowControls from "#components/WindowControls.jsx";
-import useLocationStore from "#store/Location.js";
-import { Search } from "lucide-react";
-import { locations } from "#constants";
+import useLocationStore, { DEFAULT_FOLDER_VIEW } from "#store/Location.js";
+import { ChevronLeft, ChevronRight, Columns3, GalleryHorizontalEnd, LayoutGrid, List, Search } from "lucide-react";
 import clsx from "clsx";
+import dayjs from "dayjs";
+import { useEffect, useState } from "react";
+import { formatSize, getParent, getTrail, list, ROOT_PATH, stat, TRASH_PATH } from "#lib/filesystem.js";
+import { openItem } from "#lib/open.js";
+import { searchFiles, SEARCH_KINDS } from "#lib/search.js";
+import Highlight from "#components/Highlight.jsx";
+import { registerShortcut } from "#lib/shortcuts.js";
+import { registerMenus, SEPARATOR } from "#lib/menus.js";
+import { canPutBack, canTrash, FILE_DRAG_TYPE, hasTrash, moveToTrash, putBack, requestEmptyTrash } from "#lib/trash.js";
+import { canCreateIn, canRename, createItem, showInfo, useFileChanges } from "#lib/files.js";
+import { openContextMenu } from "#lib/contextMenu.js";
+import useSelectionStore from "#store/selection.js";
 import useWindowstore from "#store/window.js";
+import RenameField from "#components/RenameField.jsx";
+
+const VIEW_MODES = [
+    {id:"icons",label:"Icons",Icon:LayoutGrid},
+    {id:"list",label:"List",Icon:List},
+    {id:"columns",label:"Columns",Icon:Columns3},
+    {id:"gallery",label:"Gallery",Icon:GalleryHorizontalEnd},
+];
+
+const SORT_OPTIONS = [
+    {id:"none",label:"None"},
+    {id:"name",label:"Name"},
+    {id:"kind",label:"Kind"},
+];
+
+// "none" keeps the order the items were authored in
+const sortItems = (items,sortBy)=>{
+    if(sortBy === "none") return items;
+    const byName = (a,b)=>a.name.localeCompare(b.name,undefined,{numeric:true,sensitivity:"base"});
+    if(sortBy === "name") return [...items].sort(byName);
+    return [...items].sort((a,b)=>stat(a).type.localeCompare(stat(b).type) || byName(a,b));
+}
+
+const getSelectedPaths = ({scope,paths})=>scope === "finder" ? paths : [];
+
+// click selects and double-click opens; anything that can go in the Trash
+// can also be dragged onto it in the dock
+const useItemSelection = ()=>{
+    const selection = useSelectionStore();
+    const selected = getSelectedPaths(selection);
+    return {
+        isSelected:(item)=>selected.includes(item.path),
+        isRenaming:(item)=>selection.renamingPath === item.path,
+        itemProps:(item)=>({
+            onClick:()=>selection.select("finder",[item.path]),
+            onDoubleClick:()=>openItem(item),
+            onContextMenu:(e)=>{
+                if(!selected.includes(item.path)) selection.select("finder",[item.path]);
+                openContextMenu(e,"item",{path:item.path,scope:"finder"});
+            },
+            draggable:canTrash(item),
+            onDragStart:(e)=>e.dataTransfer.setData(FILE_DRAG_TYPE,item.path),
+        }),
+    };
+}
+
+const IconView = ({items,sortBy})=>{
+    const {isSelected,isRenaming,itemProps} = useItemSelection();
+    // the authored `position`s only make sense for the original arrangement
+    // of a folder where every item has one; anything else flows in a grid
+    const isArranged = sortBy === "none" && items.every((item)=>item.position);
+    return (
+        <ul className={clsx("content",!isArranged && "grid-flow")}>
+            {items.map((item)=>(
+                <li key={item.id} className={clsx(isArranged && item.position,isSelected(item) && "selected")}
+                {...itemProps(item)}
+                >
+                    <img src={item.icon} alt={item.name} />
+                    {isRenaming(item) ? <RenameField item={item}/> : <p>{item.name}</p>}
+                </li>
+            ))}
+
+        </ul>
+    )
+}
+
+const ListView = ({items})=>{
+    const {isSelected,isRenaming,itemProps} = useItemSelection();
+    return (
+    <div className="list-view">
+        <table>
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Kind</th>
+                    <th>Size</th>
+                    <th>Date Modified</th>
+                </tr>
+            </thead>
+            <tbody>
+                {items.map((item)=>{
+                    const info = stat(item);
+                    return (
+                        <tr key={item.id} className={clsx(isSelected(item) && "selected")} {...itemProps(item)}>
+                            <td>
+                                <img src={item.icon} alt="" />
+                                {isRenaming(item) ? <RenameField item={item}/> : item.name}
+                            </td>
+                            <td>{info.type}</td>
+                            <td>{formatSize(info)}</td>
+                            <td>{info.modified ? dayjs(info.modified).format("MMM D, YYYY") : "--"}</td>
+                        </tr>
+                    )
+                })}
+            </tbody>
+        </table>
+    </div>
+    )
+}
+
+// Miller columns: one column per folder on the way down to the active one
+const ColumnView = ({activeLocation,sortBy,onNavigate})=>{
+    const {isSelected,itemProps} = useItemSelection();
+    const trail = getTrail(activeLocation);
+    const folders = trail.length > 1 ? trail.slice(1) : trail;
+    return (
+        <div className="column-view">
+            {folders.map((folder,i)=>(
+                <ul key={folder.id}>
+                    {sortItems(list(folder),sortBy).map((item)=>(
+                        <li key={item.id}
+                        className={clsx(item.id === folders[i+1]?.id && "active",isSelected(item) && "selected")}
+                        {...itemProps(item)}
+                        onClick={item.kind === "folder" ? ()=>onNavigate(item) : itemProps(item).onClick}>
+                            <img src={item.icon} alt="" />
+                            <p>{item.name}</p>
+                            {item.kind === "folder" && <ChevronRight size={12}/>}
+                        </li>
+                    ))}
+                </ul>
+            ))}
+        </div>
+    )
+}
+
+const GalleryView = ({items})=>{
+    const {isSelected,itemProps} = useItemSelection();
+    const selected = items.find(isSelected) ?? items[0];
+    if(!selected) return <div className="gallery-view" />;
+    const info = stat(selected);
+    return (
+        <div className="gallery-view">
+            <div className="preview" onDoubleClick={()=>openItem(selected)}>
+                <img src={selected.imageUrl ?? selected.icon} alt={selected.name} />
+                <p>{selected.name}</p>
+                <span>{info.type} · {formatSize(info)}</span>
+            </div>
+            <ul>
+                {items.map((item)=>(
+                    <li key={item.id}
+                    className={clsx(item.id === selected.id && "active")}
+                    {...itemProps(item)}>
+                        <img src={item.imageUrl ?? item.icon} alt={item.name} />
+                    </li>
+                ))}
+            </ul>
+        </div>
+    )
+}
+
+registerShortcut("Mod+[",{scope:"finder",group:"Finder",description:"Back",
+    run:()=>useLocationStore.getState().goBack()});
+registerShortcut("Mod+]",{scope:"finder",group:"Finder",description:"Forward",
+    run:()=>useLocationStore.getState().goForward()});
+registerShortcut("Mod+ArrowUp",{scope:"finder",group:"Finder",description:"Enclosing folder",
+    run:()=>useLocationStore.getState().goToParent()});
+registerShortcut("Mod+Shift+N",{scope:"finder",group:"Finder",description:"New folder",
+    run:()=>{
+        if(!createItem(useLocationStore.getState().activeLocation,"folder","finder")) return false;
+    }});
+registerShortcut("Mod+I",{scope:"finder",group:"Finder",description:"Get info",
+    run:()=>{
+        const [path] = getSelectedPaths(useSelectionStore.getState());
+        showInfo(path ?? useLocationStore.getState().activeLocation);
+    }});
+
+registerMenus("finder",{menus:(windowId)=>{
+    const {activeLocation,history,historyIndex,goBack,goForward,goToParent,setActiveLocation,folderViews,setFolderView} = useLocationStore.getState();
+    const {view} = {...DEFAULT_FOLDER_VIEW,...folderViews[activeLocation.path]};
+    const {startRename} = useSelectionStore.getState();
+    const selected = getSelectedPaths(useSelectionStore.getState());
+    return [
+        {title:"File",items:[
+            {label:"New Folder",shortcut:"Mod+Shift+N",disabled:!canCreateIn(activeLocation),
+                run:()=>createItem(activeLocation,"folder","finder")},
+            {label:"New Text Note",disabled:!canCreateIn(activeLocation),
+                run:()=>createItem(activeLocation,"note","finder")},
+            SEPARATOR,
+            {label:"Open",disabled:!selected.length,run:()=>selected.forEach((path)=>openItem(path))},
+            {label:"Get Info",shortcut:"Mod+I",run:()=>showInfo(selected[0] ?? activeLocation)},
+            {label:"Rename",disabled:selected.length !== 1 || !canRename(selected[0]),
+                run:()=>startRename("finder",selected[0])},
+            SEPARATOR,
+            {label:"Move to Trash",shortcut:"Mod+Backspace",disabled:!selected.some(canTrash),run:()=>moveToTrash(selected)},
+            {label:"Put Back",shortcut:"Mod+Backspace",disabled:!selected.some(canPutBack),run:()=>putBack(selected)},
+            {label:"Empty Trash…",shortcut:"Mod+Shift+Backspace",disabled:!hasTrash(),run:requestEmptyTrash},
+            SEPARATOR,
+            {label:"Close Window",shortcut:"Alt+W",run:()=>useWindowstore.getState().closeWindow(windowId)},
+        ]},
+        {title:"View",items:VIEW_MODES.map(({id,label})=>({
+            label:`as ${label}`,
+            checked:view === id,
+            run:()=>setFolderView(activeLocation.path,{view:id}),
+        }))},
+        {title:"Go",items:[
+            {label:"Back",shortcut:"Mod+[",disabled:historyIndex === 0,run:goBack},
+            {label:"Forward",shortcut:"Mod+]",disabled:historyIndex >= history.length - 1,run:goForward},
+            {label:"Enclosing Folder",shortcut:"Mod+ArrowUp",disabled:!getParent(activeLocation),run:goToParent},
+            SEPARATOR,
+            ...list(ROOT_PATH).map((folder)=>({label:folder.name,run:()=>setActiveLocation(folder)})),
+        ]},
+    ];
+}});
 
 const Finder = ()=>{
-    const { activeLocation,setActiveLocation } = useLocationStore();
-    const {openWindow} = useWindowstore();
+    const { activeLocation,setActiveLocation,history,historyIndex,goBack,goForward,folderViews,setFolderView } = useLocationStore();
+    const selection = useSelectionStore();
+    const selected = getSelectedPaths(selection);
+    // folders change as items are created, renamed and trashed
+    useFileChanges();
+    const {view,sortBy} = {...DEFAULT_FOLDER_VIEW,...folderViews[activeLocation.path]};
+    const items = sortItems(list(activeLocation),sortBy);
+    const [query,setQuery] = useState("");
+    const [kinds,setKinds] = useState(SEARCH_KINDS);
+    const isSearching = query.trim() !== "";
+    // searching from the Trash looks in it, anywhere else skips it
+    const inTrash = activeLocation.path === TRASH_PATH || activeLocation.path.startsWith(`${TRASH_PATH}/`);
+    const results = isSearching ? searchFiles(query,{kinds,inTrash}) : [];
+    const canGoBack = historyIndex > 0;
+    const canGoForward = historyIndex < history.length - 1;
+    // the root only shows up in the path bar while it is the active folder
+    const trail = getTrail(activeLocation).filter((item)=>item.path !== ROOT_PATH || item.path === activeLocation.path);
+    const isTrash = activeLocation.path === TRASH_PATH && !isSearching;
+
+    const {clearSelection} = selection;
+    useEffect(()=>clearSelection("finder"),[activeLocation.path,clearSelection]);
+
+    const toggleKind = (kind)=>setKinds((prev)=>
+        prev.includes(kind) ? prev.filter((k)=>k !== kind) : [...prev,kind]);
+
+    // leaving search for a folder, whether from the sidebar, path bar or a result
+    const showLocation = (item)=>{
+        setQuery("");
+        setActiveLocation(item);
+    }
+    const openResult = (item)=>{
+        if(item.kind === "folder") return showLocation(item);
+        openItem(item);
+    }
+
     const renderList=(items)=>items.map((item)=>(
-                            <li className={clsx(item.id ===activeLocation.id?'active':'not-active' )} key={item.id} onClick={()=>setActiveLocation(item)}>
+                            <li className={clsx(item.id ===activeLocation.id && !isSearching?'active':'not-active' )} key={item.id} onClick={()=>showLocation(item)}>
                                 <img src={item.icon} alt={item.name} className="w-4"/>
                                 <p className="text-sm font-medium truncate">{item.name}</p>
                             </li>
                         ))
-    const openItem = (item)=>{
-        if(item.fileType === 'pdf') return openWindow('resume');
-        if(item.kind === 'folder') return setActiveLocation(item);
-        if(['fig','url'].includes(item.fileType) && item.href) 
-            return window.open(item.href,'_blank');
-        openWindow(`${item.fileType}${item.kind}`,item)
-
-    }                    
     return (
         <>
         <div id="window-header">
             <WindowControls target="finder"/>
-        <Search className="icon" />
+            <div className="flex items-center gap-1 ml-5">
+                <button type="button" aria-label="Back" title="Back (⌘[)"
+                disabled={!canGoBack} onClick={goBack}>
+                    <ChevronLeft className={clsx("icon",!canGoBack && "opacity-40")}/>
+                </button>
+                <button type="button" aria-label="Forward" title="Forward (⌘])"
+                disabled={!canGoForward} onClick={goForward}>
+                    <ChevronRight className={clsx("icon",!canGoForward && "opacity-40")}/>
+                </button>
+            </div>
+            <h2>{isSearching ? `Searching “${query.trim()}”` : activeLocation?.name}</h2>
+            <div className="view-modes">
+                {VIEW_MODES.map((mode)=>(
+                    <button key={mode.id} type="button" aria-label={`View as ${mode.label}`} title={mode.label}
+                    className={clsx(view === mode.id && "active")}
+                    onClick={()=>setFolderView(activeLocation.path,{view:mode.id})}>
+                        <mode.Icon size={16}/>
+                    </button>
+                ))}
+            </div>
+            <select aria-label="Sort by" value={sortBy}
+            onChange={(e)=>setFolderView(activeLocation.path,{sortBy:e.target.value})}>
+                {SORT_OPTIONS.map(({id,label})=>(
+                    <option key={id} value={id}>Sort by {label}</option>
+                ))}
+            </select>
+            <div className="search">
+                <Search className="icon" size={20}/>
+                <input type="search" placeholder="Search" value={query}
+                aria-label="Search portfolio"
+                onChange={(e)=>setQuery(e.target.value)}
+                onKeyDown={(e)=>e.key === "Escape" && setQuery("")}/>
+            </div>
         </div>
-        <div className="bg-white flex h-full">
+        <div className="bg-window flex h-full">
             <div className="sidebar">
                 <div>
                     <h3>Favorites</h3>
                     <ul>
-                        {renderList(Object.values(locations))}
+                        {renderList(list("/"))}
                     </ul>
                 </div>
                 <div>
                     <h3>My Projects</h3>
                     <ul>
-                        {renderList(locations.work.children)}
+                        {renderList(list("/work").filter((item)=>item.kind === "folder"))}
                     </ul>
                 </div>
             </div>
-        <ul className="content">
-            {activeLocation?.children.map((item)=>(
-                <li key={item.id} className={item.position} 
-                onClick={()=>openItem(item)}
-                >
-                    <img src={item.icon} alt={item.name} />
-                    <p>{item.name}</p>
-                </li>
-            ))}
-
-        </ul>
+            <div className="flex-1 flex flex-col"
+            onContextMenu={(e)=>!isSearching && openContextMenu(e,"folder",{path:activeLocation.path,scope:"finder"})}>
+                {isSearching ? (
+                <div className="results">
+                    <div className="kinds">
+                        {SEARCH_KINDS.map((kind)=>(
+                            <button key={kind} type="button"
+                            className={clsx(kinds.includes(kind) ? "active" : "not-active")}
+                            onClick={()=>toggleKind(kind)}>{kind}</button>
+                        ))}
+                    </div>
+                    {results.length ? (
+                    <ul>
+                        {results.map(({node,folder,nameIndices,snippet})=>(
+                            <li key={node.id} onClick={()=>openResult(node)}>
+                                <img src={node.icon} alt="" />
+                                <div>
+                                    <p className="name"><Highlight text={node.name} indices={nameIndices}/></p>
+                                    {snippet && <p className="snippet"><Highlight text={snippet.text} indices={snippet.indices}/></p>}
+                                </div>
+                                {folder && <p className="folder">{folder.name}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                    ) : (
+                    <p className="empty">No results</p>
+                    )}
+                </div>
+                ) : <>
+                {isTrash && (
+                <div className="trash-bar">
+                    <p>Trash</p>
+                    <button type="button" disabled={!selected.some(canPutBack)}
+                    onClick={()=>putBack(selected)}>Put Back</button>
+                    <button type="button" disabled={!items.length}
+                    onClick={requestEmptyTrash}>Empty</button>
+                </div>
+                )}
+                {{
+                    icons:<IconView items={items} sortBy={sortBy}/>,
+                    list:<ListView items={items}/>,
+                    columns:<ColumnView activeLocation={activeLocation} sortBy={sortBy} onNavigate={showLocation}/>,
+                    gallery:<GalleryView items={items}/>,
+                }[view]}
+                </>}
+                <ol className="path-bar">
+                    {trail.map((item,i)=>(
+                        <li key={item.id}>
+                            {i > 0 && <ChevronRight size={12}/>}
+                            <button type="button" onClick={()=>showLocation(item)}>
+                                <img src={item.icon ?? "/images/folder.png"} alt="" className="w-3.5"/>
+                                {item.name}
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            </div>
 
         </div>
         </>
     )
 }
 const FinderWithWrapper = WindowWrapper(Finder,'finder');
-export default FinderWithWrapper;
\ No newline at end of file
+export default FinderWithWrapper;
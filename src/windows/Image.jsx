@@ -1,10 +1,13 @@
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
 import { WindowControls } from "#components";
 import useWindowstore from "#store/window.js";
+import { registerMenus } from "#lib/menus.js";
 
-const Image = () => {
+registerMenus("imgfile", { appName: "Preview" });
+
+const Image = ({ windowId }) => {
     const { windows } = useWindowstore();
-    const data = windows?.imgfile?.data;
+    const data = windows[windowId]?.data;
     if (!data) return null;
 
     const { name, imageUrl } = data;
@@ -12,10 +15,10 @@ const Image = () => {
     return (
         <>
             <div id="window-header">
-                <WindowControls target="imgfile" />
+                <WindowControls target={windowId} />
                 <h2>{name}</h2>
             </div>
-            <div className="p-4 overflow-auto h-full bg-white flex flex-col items-center justify-center">
+            <div className="p-4 overflow-auto h-full bg-window flex flex-col items-center justify-center">
                 {imageUrl && (
                     <img src={imageUrl} alt={name} className="max-w-full max-h-full object-contain" />
                 )}
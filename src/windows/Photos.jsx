@@ -0,0 +1,62 @@
+import { useState } from "react";
+import clsx from "clsx";
+import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
+import { WindowControls } from "#components";
+import { gallery, photosLinks } from "#constants";
+import { openPhoto } from "#lib/open.js";
+
+// each sidebar link filters the grid by a piece of gallery metadata
+const PHOTO_FILTERS = {
+    library: () => true,
+    memories: (photo) => Boolean(photo.memory),
+    places: (photo) => Boolean(photo.place),
+    people: (photo) => photo.people?.length > 0,
+    favorites: (photo) => photo.favorite,
+};
+
+const Photos = () => {
+    const [activeLink, setActiveLink] = useState(photosLinks[0]);
+
+    const filter = PHOTO_FILTERS[activeLink.type] ?? PHOTO_FILTERS.library;
+    const photos = gallery.filter(filter);
+
+    return (
+        <>
+            <div id="window-header">
+                <WindowControls target="photos" />
+                <h2>{activeLink.title}</h2>
+            </div>
+            <div className="flex w-full">
+                <div className="sidebar">
+                    <h2>Photos</h2>
+                    <ul>
+                        {photosLinks.map((link) => (
+                            <li key={link.id}
+                                className={clsx(link.id === activeLink.id ? "active" : "not-active")}
+                                onClick={() => setActiveLink(link)}>
+                                <img src={link.icon} alt={link.title} />
+                                <p>{link.title}</p>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+                <div className="gallery">
+                    {photos.length ? (
+                        <ul>
+                            {photos.map((photo) => (
+                                <li key={photo.id} onClick={() => openPhoto(photo)}>
+                                    <img src={photo.img} alt={photo.name} />
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="empty">No photos in {activeLink.title}</p>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+const PhotosWithWrapper = WindowWrapper(Photos, 'photos');
+export default PhotosWithWrapper;
@@ -1,5 +1,11 @@
+import { useEffect, useState } from "react";
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
 import { WindowControls } from "#components";
+import useWindowstore from "#store/window.js";
+import useResumeStore from "#store/resume.js";
+import { RESUME_URL } from "#constants";
+import { registerMenus, SEPARATOR } from "#lib/menus.js";
+import { downloadFile } from "#lib/open.js";
 import { Download } from "lucide-react";
 
 
@@ -14,23 +20,62 @@ pdfjs.GlobalWorkerOptions.workerSrc = new URL(
 
 
 
+// the PDF only loads once, so its page count is known to the menus as well
+let pageCount = null;
+
+const scrollToPage = (page)=>
+    document.querySelector(`#resume [data-page-number="${page}"]`)?.scrollIntoView({block:"start"});
+
+const goToPage = (page)=>{
+    useResumeStore.getState().setPage(page);
+    scrollToPage(page);
+}
+
+registerMenus("resume",{appName:"Preview",menus:()=>[
+    {title:"File",items:[
+        {label:"Download Resume",run:()=>downloadFile(RESUME_URL)},
+        SEPARATOR,
+        {label:"Close Window",shortcut:"Alt+W",run:()=>useWindowstore.getState().closeWindow("resume")},
+    ]},
+    {title:"Go",items:Array.from({length:pageCount ?? 0},(_,i)=>({label:`Page ${i + 1}`,run:()=>goToPage(i + 1)}))},
+]});
+
 const Resume = () => {
+    const [numPages,setNumPages] = useState(null);
+    // every page is shown; links like #/resume?page=2 scroll to theirs
+    const page = useResumeStore((state)=>state.page);
+
+    useEffect(()=>{
+        if(numPages) scrollToPage(Math.min(page,numPages));
+    },[page,numPages])
+
     return(
         <>
         <div id="window-header"> 
             <WindowControls target="resume"/>
             <h2>Resume.pdf</h2>
-            <a href="files/Sid_resume.pdf" download 
-            className="cursor-pointer"/>
-            <Download className="icon"></Download>
+            <a href={RESUME_URL} download 
+            className="cursor-pointer" aria-label="Download resume">
+                <Download className="icon"></Download>
+            </a>
+        </div>
+        <div className="pages">
+            <Document file={RESUME_URL} renderTextLayer renderAnnotationLayer={false}
+            onLoadSuccess={({numPages:total})=>{
+                pageCount = total;
+                setNumPages(total);
+            }}>
+                {Array.from({length:numPages ?? 0},(_,i)=>(
+                    <Page key={i} size="A4" pageNumber={i + 1}
+                    // pages above the requested one push it down as they render
+                    onRenderSuccess={()=>{
+                        if(i + 1 <= page) scrollToPage(Math.min(page,numPages));
+                    }}/>
+                ))}
+            </Document>
         </div>
-            <Document file="files/Sid_resume.pdf" renderTextLayer renderAnnotationLayer={false} >
-        <Page size="A4" pageNumber={1} />
-        <Page size="A4" pageNumber={2} />
-      </Document>
-
         </>
     )
 }
 const ResumeWithWrapper = WindowWrapper(Resume,'resume');
-export default ResumeWithWrapper;
\ No newline at end of file
+export default ResumeWithWrapper;
@@ -1,56 +1,270 @@
+import { useEffect, useState } from "react";
+import clsx from "clsx";
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
 import { WindowControls } from "#components";
-import { blogPosts } from "#constants";
-import { ChevronLeft,ChevronRight, Copy, MoveRight, PanelLeft, Plus, Search, Share, ShieldHalf } from "lucide-react";
+import useSafariStore, { selectActiveTab } from "#store/safari.js";
+import useWindowstore from "#store/window.js";
+import { registerMenus, SEPARATOR } from "#lib/menus.js";
+import { getHost, getQuery, getTabTitle, HOME_URL, INTERNAL_PROTOCOL, isEmbeddable, isInternalUrl, normalizeUrl, parseInternalUrl } from "#lib/browser.js";
+import { getPost, posts, tags } from "#lib/blog.js";
+import { getAppLink, getRoute } from "#lib/router.js";
+import dayjs from "dayjs";
+import { ChevronLeft,ChevronRight, Copy, ExternalLink, MoveRight, PanelLeft, Plus, Search, Share, ShieldHalf, X } from "lucide-react";
+import 'highlight.js/styles/github.css';
+
+// how long a framed page gets to fire `load` before we assume it was blocked;
+// a page that refuses framing fires it too, with the browser's error page
+const FRAME_TIMEOUT = 8000;
+
+const formatDate = (date)=>date ? dayjs(date).format("MMM D, YYYY") : "";
+
+const BlogIndex = ({url,navigate}) => {
+    const activeTag = getQuery(url).get("tag");
+    const shown = activeTag ? posts.filter((post)=>post.tags.includes(activeTag)) : posts;
+    return (
+        <div className="blog">
+            <h2>Welcome to My Portfolio Blog</h2>
+            <ul className="tags">
+                <li className={clsx(!activeTag && "active")}
+                onClick={()=>navigate(`${INTERNAL_PROTOCOL}blog`)}>All</li>
+                {tags.map((tag)=>(
+                    <li key={tag} className={clsx(tag === activeTag && "active")}
+                    onClick={()=>navigate(`${INTERNAL_PROTOCOL}blog?tag=${tag}`)}>#{tag}</li>
+                ))}
+            </ul>
+            <div>
+                {shown.map(({slug,image,title,date,summary,readingTime}) => (
+                    <div key={slug} className="blog-post">
+                        <div className="col-span-2">
+                            <img src={image} alt={title} />
+                            </div>
+                            <div className="content">
+                                <p>{formatDate(date)} · {readingTime} min read</p>
+                                <h3>{title}</h3>
+                                <p>{summary}</p>
+                                <button type="button" onClick={()=>navigate(`${INTERNAL_PROTOCOL}blog/${slug}`)}>Read More<MoveRight className="icon-hover" /></button>
+                            </div>
+
+                    </div>
+
+                    ))}
+            </div>
+        </div>
+    )
+}
+
+const BlogPost = ({slug,navigate}) => {
+    const post = getPost(slug);
+    if(!post) return <NotFound url={`${INTERNAL_PROTOCOL}blog/${slug}`} />;
+    const {image,title,date,readingTime,tags:postTags,toc,html} = post;
+
+    // headings live in the page's own scroll container, so no #hash links
+    const scrollTo = (id)=>document.getElementById(id)?.scrollIntoView({behavior:"smooth",block:"start"});
+
+    return (
+        <div className="blog-reader">
+            <article>
+                <button type="button" className="back" onClick={()=>navigate(`${INTERNAL_PROTOCOL}blog`)}>
+                    <ChevronLeft size={14}/> All articles
+                </button>
+                <p className="meta">{formatDate(date)} · {readingTime} min read</p>
+                <h1>{title}</h1>
+                <ul className="tags">
+                    {postTags.map((tag)=>(
+                        <li key={tag} onClick={()=>navigate(`${INTERNAL_PROTOCOL}blog?tag=${tag}`)}>#{tag}</li>
+                    ))}
+                </ul>
+                {image && <img src={image} alt={title} />}
+                <div className="markdown" dangerouslySetInnerHTML={{__html:html}} />
+            </article>
+            {toc.length > 0 && (
+                <nav className="toc" aria-label="Table of contents">
+                    <p>On this page</p>
+                    <ul>
+                        {toc.map(({id,text,depth})=>(
+                            <li key={id} className={clsx(depth > 2 && "nested")}
+                            onClick={()=>scrollTo(id)}>{text}</li>
+                        ))}
+                    </ul>
+                </nav>
+            )}
+        </div>
+    )
+}
+
+const NotFound = ({url}) => (
+    <div className="fallback">
+        <h2>Safari Can’t Find the Page</h2>
+        <p>{url} doesn’t exist in this portfolio.</p>
+    </div>
+)
+
+const Blocked = ({url}) => (
+    <div className="fallback">
+        <h2>{getHost(url)} can’t be shown here</h2>
+        <p>This website doesn’t allow itself to be opened inside another page.</p>
+        <a href={url} target="_blank" rel="noopener noreferrer">
+            Open in a new window<ExternalLink size={14}/>
+        </a>
+    </div>
+)
+
+const Frame = ({url}) => {
+    const [status,setStatus] = useState(isEmbeddable(url) ? "loading" : "blocked");
+
+    useEffect(()=>{
+        if(status !== "loading") return;
+        const timer = setTimeout(()=>setStatus("blocked"),FRAME_TIMEOUT);
+        return ()=>clearTimeout(timer);
+    },[status])
+
+    if(status === "blocked") return <Blocked url={url} />;
+    // a cross-origin frame can't be read, so a page that refused framing
+    // looks loaded; only BLOCKED_HOSTS get the fallback up front, the rest
+    // keep a way out
+    return (
+        <div className="frame">
+            <iframe src={url} title={getHost(url)}
+            sandbox="allow-scripts allow-same-origin allow-forms allow-popups"
+            referrerPolicy="no-referrer"
+            onLoad={()=>setStatus("loaded")}
+            onError={()=>setStatus("blocked")}/>
+            <p className="frame-hint">
+                Page not showing? Some sites don’t allow being opened inside another page.
+                <a href={url} target="_blank" rel="noopener noreferrer">
+                    Open in a new window<ExternalLink size={12}/>
+                </a>
+            </p>
+        </div>
+    )
+}
+
+// built-in pages, keyed by the first segment of a portfolio:// URL
+const INTERNAL_PAGES = {
+    blog:({url,params,navigate})=>params.length
+        ? <BlogPost key={params[0]} slug={params[0]} navigate={navigate} />
+        : <BlogIndex url={url} navigate={navigate} />,
+};
+
+const Page = ({url,navigate}) => {
+    if(!isInternalUrl(url)) return <Frame key={url} url={url} />;
+    const [page,...params] = parseInternalUrl(url);
+    const render = INTERNAL_PAGES[page];
+    return render ? render({url,params,navigate}) : <NotFound url={url} />;
+}
+
+registerMenus("safari",{menus:()=>{
+    const {openTab,closeTab,navigate,goBack,goForward,...state} = useSafariStore.getState();
+    const tab = selectActiveTab(state);
+    return [
+        {title:"File",items:[
+            {label:"New Tab",run:()=>openTab()},
+            {label:"Close Tab",run:()=>closeTab(tab.id)},
+            SEPARATOR,
+            {label:"Close Window",shortcut:"Alt+W",run:()=>useWindowstore.getState().closeWindow("safari")},
+        ]},
+        {title:"History",items:[
+            {label:"Back",disabled:tab.index === 0,run:goBack},
+            {label:"Forward",disabled:tab.index >= tab.history.length - 1,run:goForward},
+            SEPARATOR,
+            {label:"All Articles",run:()=>navigate(HOME_URL)},
+        ]},
+    ];
+}});
+
 const Safari = () => {
+    const {tabs,openTab,closeTab,setActiveTab,navigate,goBack,goForward} = useSafariStore();
+    const activeTab = useSafariStore(selectActiveTab);
+    const url = activeTab.history[activeTab.index];
+    const canGoBack = activeTab.index > 0;
+    const canGoForward = activeTab.index < activeTab.history.length - 1;
+    const [address,setAddress] = useState(url);
+    const [copied,setCopied] = useState(false);
+
+    // keep the address bar in step with tab switches and history moves
+    const [shownUrl,setShownUrl] = useState(url);
+    if(shownUrl !== url){
+        setShownUrl(url);
+        setAddress(url);
+    }
+
+    const handleSubmit = (e)=>{
+        e.preventDefault();
+        navigate(normalizeUrl(address));
+    }
+
+    const shareUrl = async ()=>{
+        try {
+            // portfolio:// pages are shared as the desktop link that opens them
+            await navigator.clipboard.writeText(isInternalUrl(url) ? getAppLink(getRoute("safari")) : url);
+            setCopied(true);
+            setTimeout(()=>setCopied(false),1500);
+        } catch {
+            setCopied(false);
+        }
+    }
+
     return (
         <>
         <div id="window-header">
             <WindowControls target="safari"/>
             <PanelLeft className="ml-10 icon"/>
-            <div className="flex items-center gap-1 ml-5"> 
-                <ChevronLeft className="icon"/>
-                <ChevronRight className="icon"/>
+            <div className="flex items-center gap-1 ml-5">
+                <button type="button" aria-label="Back" disabled={!canGoBack} onClick={goBack}>
+                    <ChevronLeft className={clsx("icon",!canGoBack && "opacity-40")}/>
+                </button>
+                <button type="button" aria-label="Forward" disabled={!canGoForward} onClick={goForward}>
+                    <ChevronRight className={clsx("icon",!canGoForward && "opacity-40")}/>
+                </button>
 
             </div>
             <div className="flex-1 flex-center gap-3">
                 <ShieldHalf className="icon"/>
 
-                <div className="search">
+                <form className="search" onSubmit={handleSubmit}>
                     <Search className="icon"/>
-                    <input type="text" placeholder="Search or enter website name" 
+                    <input type="text" placeholder="Search or enter website name"
+                    aria-label="Address"
+                    value={address}
+                    onChange={(e)=>setAddress(e.target.value)}
+                    onFocus={(e)=>e.target.select()}
                     className="flex-1"/>
-                </div>
+                </form>
             </div>
             <div className="flex items-center gap-5">
-                <Share className="icon"/>
-                <Plus className="icon"/>
-                <Copy className="icon"/>
+                <button type="button" aria-label="Copy link" title={copied ? "Copied!" : "Copy link"} onClick={shareUrl}>
+                    <Share className="icon"/>
+                </button>
+                <button type="button" aria-label="New tab" onClick={()=>openTab()}>
+                    <Plus className="icon"/>
+                </button>
+                <button type="button" aria-label="Duplicate tab" onClick={()=>openTab(url)}>
+                    <Copy className="icon"/>
+                </button>
 
 
             </div>
         </div>
-        <div className="blog">
-            <h2>Welcome to My Portfolio Blog</h2>
-            <div>
-                {blogPosts.map(({id,image,title,date,link}) => (
-                    <div key={id} className="blog-post">
-                        <div className="col-span-2">
-                            <img src={image} alt={title} />
-                            </div>
-                            <div className="content">
-                                <p>{date}</p>
-                                <h3>{title}</h3>
-                                <a href={link} target="_blank" rel="noopener noreferrer">Read More<MoveRight className="icon-hover" /></a>
-                            </div>
-
-                    </div>
-                    
-                    ))}
-            </div>
+        <ul className="tabs">
+            {tabs.map((tab)=>(
+                <li key={tab.id} className={clsx(tab.id === activeTab.id && "active")}
+                onClick={()=>setActiveTab(tab.id)}>
+                    <p>{getTabTitle(tab.history[tab.index])}</p>
+                    <button type="button" aria-label="Close tab"
+                    onClick={(e)=>{
+                        e.stopPropagation();
+                        closeTab(tab.id);
+                    }}>
+                        <X size={12}/>
+                    </button>
+                </li>
+            ))}
+        </ul>
+        <div className="page">
+            <Page url={url} navigate={navigate} />
         </div>
         </>
     )
 }
 const SafariWithWrapper = WindowWrapper(Safari,'safari');
-export default SafariWithWrapper;
\ No newline at end of file
+export default SafariWithWrapper;
@@ -0,0 +1,208 @@
+import clsx from "clsx";
+import { Accessibility, Monitor, Moon, Palette, PanelBottom, Sun } from "lucide-react";
+import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
+import WindowControls from "#components/WindowControls.jsx";
+import { accentColors, wallpapers } from "#constants";
+import useWindowstore from "#store/window.js";
+import useThemeStore from "#store/theme.js";
+import useSettingsStore, { SETTING_RANGES } from "#store/settings.js";
+import { registerMenus, SEPARATOR } from "#lib/menus.js";
+
+const PANES = [
+    {id:"appearance",label:"Appearance",Icon:Palette},
+    {id:"dock",label:"Desktop & Dock",Icon:PanelBottom},
+    {id:"accessibility",label:"Accessibility",Icon:Accessibility},
+];
+
+const THEME_OPTIONS = [
+    {id:"light",label:"Light",Icon:Sun},
+    {id:"dark",label:"Dark",Icon:Moon},
+    {id:"auto",label:"Auto",Icon:Monitor},
+];
+
+const DOCK_POSITIONS = [
+    {id:"left",label:"Left"},
+    {id:"bottom",label:"Bottom"},
+    {id:"right",label:"Right"},
+];
+
+const MINIMIZE_EFFECTS = [
+    {id:"genie",label:"Genie"},
+    {id:"scale",label:"Scale"},
+];
+
+// the pane is kept in the window's data so the View menu can switch it
+const getPane = (windowId)=>useWindowstore.getState().windows[windowId]?.data?.pane ?? PANES[0].id;
+
+registerMenus("settings",{
+    appName:"System Settings",
+    menus:(windowId)=>[{
+        title:"View",
+        items:[
+            ...PANES.map(({id,label})=>({
+                label,
+                checked:getPane(windowId) === id,
+                run:()=>useWindowstore.getState().setWindowData(windowId,{pane:id}),
+            })),
+            SEPARATOR,
+            {label:"Restore Defaults",run:()=>useSettingsStore.getState().resetSettings()},
+        ],
+    }],
+});
+
+const Row = ({label,hint,children})=>(
+    <li>
+        <div>
+            <p>{label}</p>
+            {hint && <p className="hint">{hint}</p>}
+        </div>
+        {children}
+    </li>
+)
+
+const Switch = ({label,setting})=>{
+    const {toggleSetting} = useSettingsStore();
+    const checked = useSettingsStore((state)=>state[setting]);
+    return (
+        <button type="button" role="switch" aria-label={label} aria-checked={checked}
+        className={clsx("switch",checked && "on")} onClick={()=>toggleSetting(setting)}>
+            <span/>
+        </button>
+    )
+}
+
+const Segmented = ({label,options,value,onChange})=>(
+    <div className="segmented" role="radiogroup" aria-label={label}>
+        {options.map((option)=>(
+            <button key={option.id} type="button" role="radio" aria-checked={value === option.id}
+            className={clsx(value === option.id && "active")} onClick={()=>onChange(option.id)}>
+                {option.Icon && <option.Icon size={14}/>}
+                {option.label}
+            </button>
+        ))}
+    </div>
+)
+
+const Slider = ({label,setting,step,format})=>{
+    const {setSetting} = useSettingsStore();
+    const value = useSettingsStore((state)=>state[setting]);
+    const {min,max} = SETTING_RANGES[setting];
+    return (
+        <div className="slider">
+            <input type="range" aria-label={label} min={min} max={max} step={step} value={value}
+            onChange={(e)=>setSetting(setting,e.target.value)}/>
+            <output>{format(value)}</output>
+        </div>
+    )
+}
+
+const AppearancePane = ()=>{
+    const {mode,setMode} = useThemeStore();
+    const {accentColor,wallpaper,setSetting} = useSettingsStore();
+    return (
+        <>
+            <ul className="group">
+                <Row label="Appearance">
+                    <Segmented label="Appearance" options={THEME_OPTIONS} value={mode} onChange={setMode}/>
+                </Row>
+                <Row label="Accent color">
+                    <div className="swatches" role="radiogroup" aria-label="Accent color">
+                        {accentColors.map(({id,name,color})=>(
+                            <button key={id} type="button" role="radio" title={name} aria-label={name}
+                            aria-checked={accentColor === id} className={clsx(accentColor === id && "active")}
+                            style={{backgroundColor:color}} onClick={()=>setSetting("accentColor",id)}/>
+                        ))}
+                    </div>
+                </Row>
+            </ul>
+            <h3>Wallpaper</h3>
+            <ul className="wallpapers" role="radiogroup" aria-label="Wallpaper">
+                {wallpapers.map(({id,name,background})=>(
+                    <li key={id}>
+                        <button type="button" role="radio" aria-checked={wallpaper === id}
+                        className={clsx(wallpaper === id && "active")} onClick={()=>setSetting("wallpaper",id)}>
+                            <span style={{backgroundImage:background}}/>
+                            {name}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </>
+    )
+}
+
+const DockPane = ()=>{
+    const {dockMagnification,dockPosition,minimizeEffect,setSetting} = useSettingsStore();
+    return (
+        <ul className="group">
+            <Row label="Size">
+                <Slider label="Dock size" setting="dockSize" step={4} format={(value)=>`${value}px`}/>
+            </Row>
+            <Row label="Magnification">
+                <Switch label="Magnification" setting="dockMagnification"/>
+            </Row>
+            {dockMagnification && (
+                <Row label="Magnification amount">
+                    <Slider label="Magnification amount" setting="dockMagnificationScale" step={0.05}
+                    format={(value)=>`${Math.round(value * 100)}%`}/>
+                </Row>
+            )}
+            <Row label="Position on screen">
+                <Segmented label="Position on screen" options={DOCK_POSITIONS} value={dockPosition}
+                onChange={(id)=>setSetting("dockPosition",id)}/>
+            </Row>
+            <Row label="Minimize windows using">
+                <Segmented label="Minimize windows using" options={MINIMIZE_EFFECTS} value={minimizeEffect}
+                onChange={(id)=>setSetting("minimizeEffect",id)}/>
+            </Row>
+            <Row label="Automatically hide and show the Dock" hint="Move the pointer to the screen edge to show it">
+                <Switch label="Automatically hide and show the Dock" setting="dockAutoHide"/>
+            </Row>
+        </ul>
+    )
+}
+
+const AccessibilityPane = ()=>(
+    <ul className="group">
+        <Row label="Reduce motion" hint="Windows, the Dock and the welcome text stop animating">
+            <Switch label="Reduce motion" setting="reducedMotion"/>
+        </Row>
+        <Row label="Larger text" hint="Scales up text across the desktop">
+            <Switch label="Larger text" setting="largerText"/>
+        </Row>
+    </ul>
+)
+
+const Settings = ()=>{
+    const {windows,setWindowData} = useWindowstore();
+    const pane = PANES.find(({id})=>id === windows.settings?.data?.pane) ?? PANES[0];
+
+    return (
+        <>
+        <div id="window-header">
+            <WindowControls target="settings"/>
+            <h2>{pane.label}</h2>
+        </div>
+        <div className="bg-window flex h-full">
+            <ul className="sidebar">
+                {PANES.map((item)=>(
+                    <li key={item.id} className={clsx(item.id === pane.id ? "active" : "not-active")}
+                    onClick={()=>setWindowData("settings",{pane:item.id})}>
+                        <item.Icon size={16}/>
+                        <p>{item.label}</p>
+                    </li>
+                ))}
+            </ul>
+            <div className="pane">
+                {{
+                    appearance:<AppearancePane/>,
+                    dock:<DockPane/>,
+                    accessibility:<AccessibilityPane/>,
+                }[pane.id]}
+            </div>
+        </div>
+        </>
+    )
+}
+const SettingsWithWrapper = WindowWrapper(Settings,'settings');
+export default SettingsWithWrapper;
@@ -1,46 +1,128 @@
+import { useEffect, useRef, useState } from "react";
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
-import { techStack } from "#constants";
-import { Check, Flag } from "lucide-react";
 import { WindowControls } from "#components";
+import useWindowstore from "#store/window.js";
+import { complete, formatPath, ROOT, runCommand } from "#lib/terminal.js";
+import { resolve } from "#lib/filesystem.js";
+
+const USER = "siddharth";
+const WELCOME = [
+    "Welcome! Type `help` to see what I can do.",
+    ...runCommand("stack"),
+];
+
+let lineId = 0;
+const toLines = (texts, type = "output") => texts.map((text) => ({ id: lineId++, type, text }));
+
+// the folder "Open in Terminal" asked for, through the window's data
+const getRequestedFolder = (data) => {
+    const folder = data?.cwd ? resolve(data.cwd) : null;
+    return folder?.kind === "folder" ? folder : null;
+};
+
 const Terminal = () => {
+    const { windows, openWindow } = useWindowstore();
+    const request = windows.terminal?.data;
+    const [lines, setLines] = useState(() => toLines(WELCOME));
+    const [input, setInput] = useState("");
+    const [cwd, setCwd] = useState(() => getRequestedFolder(request) ?? ROOT);
+    const [handledRequest, setHandledRequest] = useState(request);
+    const [history, setHistory] = useState([]);
+    const [historyIndex, setHistoryIndex] = useState(-1);
+    const inputRef = useRef(null);
+    const shellRef = useRef(null);
+
+    const prompt = `${USER} ${formatPath(cwd)} %`;
+
+    // a new request moves the shell there, like opening a new window in it would
+    if (request !== handledRequest) {
+        setHandledRequest(request);
+        const folder = getRequestedFolder(request);
+        if (folder) setCwd(folder);
+    }
+
+    useEffect(() => {
+        const shell = shellRef.current;
+        if (shell) shell.scrollTop = shell.scrollHeight;
+    }, [lines]);
+
+    const submit = () => {
+        let cleared = false;
+        const output = runCommand(input, {
+            cwd,
+            setCwd,
+            openWindow,
+            history,
+            clear: () => { cleared = true; },
+        });
+        const entry = [{ id: lineId++, type: "input", prompt, text: input }, ...toLines(output)];
+        setLines((prev) => (cleared ? [] : [...prev, ...entry]));
+        if (input.trim()) setHistory((prev) => [...prev, input]);
+        setHistoryIndex(-1);
+        setInput("");
+    };
+
+    const browseHistory = (step) => {
+        if (!history.length) return;
+        const index = historyIndex === -1
+            ? (step < 0 ? history.length - 1 : -1)
+            : historyIndex + step;
+        if (index >= history.length || index < 0) {
+            setHistoryIndex(-1);
+            setInput("");
+            return;
+        }
+        setHistoryIndex(index);
+        setInput(history[index]);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Enter") {
+            submit();
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            browseHistory(-1);
+        } else if (e.key === "ArrowDown") {
+            e.preventDefault();
+            browseHistory(1);
+        } else if (e.key === "Tab") {
+            e.preventDefault();
+            const result = complete(input, { cwd });
+            setInput(result.input);
+            if (result.candidates.length) {
+                setLines((prev) => [
+                    ...prev,
+                    { id: lineId++, type: "input", prompt, text: input },
+                    ...toLines([result.candidates.join("  ")]),
+                ]);
+            }
+        } else if (e.key === "l" && e.ctrlKey) {
+            e.preventDefault();
+            setLines([]);
+        }
+    };
+
     return (
         <>
             <div id="window-header">
                 <WindowControls target="terminal"/>
-                <h2>Tech Stack</h2>
+                <h2>{USER} — zsh</h2>
             </div>
-            <div className="techstack">
-                <p>
-                    <span className="font-bold">@siddharth % </span>
-                    Show_tech_stack
-                </p>
-                <div className="label">
-                    <p className="w-32">Category</p>
-                    <p>Technologies</p>
-                </div>
-                <ul className="content">
-                    {techStack.map(({category, items}) => (
-                        <li key={category} className="flex items-center">
-                          <Check className="check" size={20}/>
-                          <h3>{category}</h3>
-                          <ul>
-                            {items.map((item,i)=>(
-                                <li key={i}>{item}{i < items.length - 1 ? ', ' : ''}</li>
-                            ))}
-                          </ul>
-                        </li>
-                    ))}
-                </ul>
-                <div className="footnote">
-                    <p>
-                        <Check size={20}/> 5 of 5 stacks loaded successfully (100%)
-                    </p>
-                    <p className="text-black">
-                        <Flag size={15} fill="black"/>
-                            Render Time :6ms
-                        
+            <div className="shell" ref={shellRef} onClick={() => inputRef.current?.focus()}>
+                {lines.map(({ id, type, prompt: linePrompt, text }) => (
+                    <p key={id} className={type}>
+                        {type === "input" && <span className="prompt">{linePrompt} </span>}
+                        {text}
                     </p>
-
+                ))}
+                <div className="input-line">
+                    <span className="prompt">{prompt}</span>
+                    <input ref={inputRef} type="text" value={input}
+                        aria-label="Terminal input"
+                        spellCheck={false}
+                        autoComplete="off"
+                        onChange={(e) => setInput(e.target.value)}
+                        onKeyDown={handleKeyDown}/>
                 </div>
             </div>
         </>
@@ -48,4 +130,4 @@ const Terminal = () => {
 }
 // before exporting the Terminal component
 const TerminalWithWrapper = WindowWrapper(Terminal, 'terminal');
-export default TerminalWithWrapper
\ No newline at end of file
+export default TerminalWithWrapper
@@ -1,31 +1,141 @@
+import { useLayoutEffect, useRef, useState } from "react";
+import { Bold, Heading, Italic, List, ListOrdered, Lock } from "lucide-react";
 import { WindowWrapper } from "#hoc/WindowWrapper.jsx";
 import { WindowControls } from "#components";
 import useWindowstore from "#store/window.js";
+import useFilesStore from "#store/files.js";
+import { registerMenus, SEPARATOR } from "#lib/menus.js";
+import { formatCombo, registerShortcut } from "#lib/shortcuts.js";
+import { resolve } from "#lib/filesystem.js";
+import { canDuplicate, openCopy } from "#lib/files.js";
+import { applyFormat, FORMATS, getNoteText, isEditable, renderNote, requestSaveAs, writeNote } from "#lib/notes.js";
 
-const Text = () => {
+const FORMAT_ICONS = { bold: Bold, italic: Italic, heading: Heading, bullets: List, numbers: ListOrdered };
+
+// the live node, so what is typed shows; what the window was opened with once the file is gone
+const getDocument = (data) => data && (resolve(data) ?? data);
+
+const getFocusedDocument = (windowId) => getDocument(useWindowstore.getState().windows[windowId]?.data);
+
+registerMenus("txtfile", {
+    appName: "TextEdit",
+    menus: (windowId) => {
+        const node = getFocusedDocument(windowId);
+        return [{
+            title: "File",
+            items: [
+                { label: "Duplicate", shortcut: "Mod+Shift+S", disabled: !canDuplicate(node), run: () => openCopy(node) },
+                { label: "Save As…", disabled: !node, run: () => requestSaveAs(node) },
+                SEPARATOR,
+                { label: "Close Window", shortcut: "Alt+W", run: () => useWindowstore.getState().closeWindow(windowId) },
+            ],
+        }];
+    },
+});
+
+registerShortcut("Mod+Shift+S", { scope: "txtfile", group: "TextEdit", description: "Duplicate",
+    run: ({ focused }) => {
+        const node = getFocusedDocument(focused);
+        if (!canDuplicate(node)) return false;
+        openCopy(node);
+    } });
+
+const Text = ({ windowId }) => {
     const { windows } = useWindowstore();
-    const data = windows?.txtfile?.data;
-    if (!data) return null;
+    // re-render as the note is typed into
+    useFilesStore((state) => state.created);
+    const node = getDocument(windows[windowId]?.data);
+    const editable = Boolean(node) && isEditable(node);
+    const text = node ? getNoteText(node) : "";
+    // new notes open ready for typing
+    const [isEditing, setIsEditing] = useState(() => editable && !text);
+    const textareaRef = useRef(null);
+    // where the selection goes once formatted text is rendered
+    const selectionRef = useRef(null);
 
-    const { name, image, imageUrl, subtitle, description } = data;
+    useLayoutEffect(() => {
+        const textarea = textareaRef.current;
+        const selection = selectionRef.current;
+        if (!textarea || !selection) return;
+        selectionRef.current = null;
+        textarea.focus();
+        textarea.setSelectionRange(selection.start, selection.end);
+    }, [text]);
+
+    if (!node) return null;
+    const { name, image, imageUrl, subtitle, description } = node;
+
+    const format = (formatId) => {
+        const textarea = textareaRef.current;
+        const next = applyFormat(text, { start: textarea.selectionStart, end: textarea.selectionEnd }, formatId);
+        selectionRef.current = next;
+        writeNote(node, next.text);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!(e.metaKey || e.ctrlKey) || e.shiftKey || e.altKey) return;
+        const match = FORMATS.find(({ shortcut }) => shortcut === `Mod+${e.key.toUpperCase()}`);
+        if (!match) return;
+        e.preventDefault();
+        format(match.id);
+    };
 
     return (
         <>
             <div id="window-header">
-                <WindowControls target="txtfile" />
+                <WindowControls target={windowId} />
                 <h2>{name}</h2>
-            </div>
-            <div className="p-4 overflow-auto h-full bg-white">
-                { (image || imageUrl) && (
-                    <div className="mb-4">
-                        <img src={image ?? imageUrl} alt={name} className="w-40" />
+                {editable ? (
+                    <div className="note-tools">
+                        {isEditing && FORMATS.map(({ id, label, shortcut }) => {
+                            const Icon = FORMAT_ICONS[id];
+                            return (
+                                <button key={id} type="button" aria-label={label}
+                                title={shortcut ? `${label} (${formatCombo(shortcut)})` : label}
+                                // keeps the selection in the text
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => format(id)}>
+                                    <Icon className="icon" />
+                                </button>
+                            );
+                        })}
+                        <button type="button" className="mode" onClick={() => setIsEditing(!isEditing)}>
+                            {isEditing ? "Done" : "Edit"}
+                        </button>
+                    </div>
+                ) : (
+                    <div className="note-tools">
+                        <span className="locked"><Lock size={12} /> Read only</span>
+                        {canDuplicate(node) && (
+                            <button type="button" className="mode" onClick={() => openCopy(node)}>Duplicate</button>
+                        )}
                     </div>
-                ) }
-                { subtitle && <h3 className="text-sm font-medium mb-2">{subtitle}</h3> }
-                { Array.isArray(description) && description.map((para, i) => (
-                    <p key={i} className="mb-2 leading-relaxed">{para}</p>
-                )) }
+                )}
             </div>
+            {editable && isEditing ? (
+                <textarea ref={textareaRef} className="note-editor" value={text} autoFocus
+                aria-label={`${name} text`} placeholder="Start typing…"
+                onChange={(e) => writeNote(node, e.target.value)}
+                onKeyDown={handleKeyDown} />
+            ) : (
+                <div className="p-4 overflow-auto h-full bg-window">
+                    { (image || imageUrl) && (
+                        <div className="mb-4">
+                            <img src={image ?? imageUrl} alt={name} className="w-40" />
+                        </div>
+                    ) }
+                    { typeof node.content === "string" ? (
+                        <div className="note" dangerouslySetInnerHTML={{ __html: renderNote(text) }} />
+                    ) : (
+                        <>
+                            { subtitle && <h3 className="text-sm font-medium mb-2">{subtitle}</h3> }
+                            { Array.isArray(description) && description.map((para, i) => (
+                                <p key={i} className="mb-2 leading-relaxed">{para}</p>
+                            )) }
+                        </>
+                    ) }
+                </div>
+            )}
         </>
     );
 };
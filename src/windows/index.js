@@ -5,5 +5,7 @@ import FinderWithWrapper from "#windows/Finder.jsx";
 import TextWithWrapper from "#windows/Text.jsx";
 import ImageWithWrapper from "#windows/Image.jsx";
 import ContactWithWrapper from "#windows/Contact.jsx";
+import PhotosWithWrapper from "#windows/Photos.jsx";
+import SettingsWithWrapper from "#windows/Settings.jsx";
 
-export { TerminalWithWrapper, SafariWithWrapper, ResumeWithWrapper, FinderWithWrapper, TextWithWrapper, ImageWithWrapper, ContactWithWrapper };
\ No newline at end of file
+export { TerminalWithWrapper, SafariWithWrapper, ResumeWithWrapper, FinderWithWrapper, TextWithWrapper, ImageWithWrapper, ContactWithWrapper, PhotosWithWrapper, SettingsWithWrapper };
\ No newline at end of file
@@ -11,7 +11,8 @@ export default defineConfig({
       '#constants':resolve(dirname(fileURLToPath(import.meta.url)),'src/constants'),
       '#store':resolve(dirname(fileURLToPath(import.meta.url)),'src/store'),
       '#hoc':resolve(dirname(fileURLToPath(import.meta.url)),'src/hoc'),
-      '#windows':resolve(dirname(fileURLToPath(import.meta.url)),'src/windows')
+      '#windows':resolve(dirname(fileURLToPath(import.meta.url)),'src/windows'),
+      '#lib':resolve(dirname(fileURLToPath(import.meta.url)),'src/lib')
     },
   },
 })